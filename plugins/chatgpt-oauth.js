@@ -1,9 +1,50 @@
 const os = require("os");
 const path = require("path");
 const fs = require("fs/promises");
+const { parseSSE, transformSSE } = require("./lib/sse");
+const { normalizeError, statusForType } = require("./lib/errors");
+const { getCapabilities, applyCapabilities } = require("./lib/capabilities");
+const { parseToolChoice } = require("./lib/tool-choice");
+const { parseResponseFormat, checkStructuredOutput } = require("./lib/structured-output");
+const { normalizeToolParameters } = require("./lib/schema-normalizer");
+const { sanitizeToolNames } = require("./lib/tool-names");
+const { repairMessages } = require("./lib/conversation-repair");
+const { isDocumentPart, parseDocument, documentToText } = require("./lib/documents");
+const { requestState } = require("./lib/request-state");
+const { REASONING_SIGNATURE_PREFIX, encodeSignature, decodeSignature } = require("./lib/thinking-signature");
 
 const OAUTH_FILE = path.join(os.homedir(), ".codex", "auth.json");
 const CHATGPT_CODEX_API = "https://chatgpt.com/backend-api/codex/responses";
+// Refresh this long before the access token's exp claim
+const REFRESH_MARGIN_MS = 5 * 60 * 1000;
+
+/**
+ * Decode the payload of a JWT without verifying it
+ */
+function decodeJwtPayload(token) {
+  try {
+    const payload = token.split(".")[1];
+    return JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Pack encrypted reasoning items into a thinking signature.
+ * With store: false, Codex needs the items sent back on the next turn.
+ */
+function encodeReasoningSignature(items) {
+  return encodeSignature(REASONING_SIGNATURE_PREFIX, items);
+}
+
+/**
+ * Unpack the reasoning items of a thinking signature; other signatures give none
+ */
+function decodeReasoningSignature(signature) {
+  const items = decodeSignature(REASONING_SIGNATURE_PREFIX, signature);
+  return Array.isArray(items) ? items.filter((item) => item?.encrypted_content) : [];
+}
 
 class ChatGPTOAuthTransformer {
   name = "chatgpt-oauth";
@@ -21,22 +62,22 @@ class ChatGPTOAuthTransformer {
    * Transform incoming request from OpenAI Chat Completion format to ChatGPT Responses API format
    */
   async transformRequestIn(request, provider, context) {
-    // Check if we need to refresh the token
-    if (this.oauth_creds?.last_refresh) {
-      const lastRefresh = new Date(this.oauth_creds.last_refresh);
-      const hoursSinceRefresh = (Date.now() - lastRefresh.getTime()) / (1000 * 60 * 60);
-      if (hoursSinceRefresh > 23) {
-        await this.refreshToken(this.oauth_creds.tokens.refresh_token);
-      }
-    }
+    await this.ensureFreshToken();
+
+    const capabilities = getCapabilities(this.options?.capabilities, request.model);
+    request = applyCapabilities(request, capabilities, "chatgpt-oauth");
+    const sanitized = sanitizeToolNames(request, "openai", "chatgpt-oauth");
+    request = sanitized.request;
+    // Every function_call needs an output, even when the user interrupted it
+    const messages = repairMessages(request.messages, "chatgpt-oauth");
 
     // Convert OpenAI Chat Completion format to Responses API format
     const input = [];
     let instructions = "";
 
     // Process messages
-    if (request.messages) {
-      for (const msg of request.messages) {
+    if (messages) {
+      for (const msg of messages) {
         if (msg.role === "system") {
           const content = typeof msg.content === "string" 
             ? msg.content 
@@ -45,16 +86,24 @@ class ChatGPTOAuthTransformer {
                 : "");
           instructions += (instructions ? "\n" : "") + content;
         } else if (msg.role === "user" || msg.role === "assistant") {
+          // Encrypted reasoning from the previous turn must precede its output
+          if (msg.role === "assistant") {
+            for (const item of decodeReasoningSignature(msg.thinking?.signature)) {
+              input.push({
+                type: "reasoning",
+                summary: item.summary || [],
+                encrypted_content: item.encrypted_content,
+              });
+            }
+          }
+
           const content = typeof msg.content === "string"
             ? msg.content
             : (Array.isArray(msg.content)
-                ? msg.content.map(c => {
-                    if (c.type === "text") return c.text;
-                    return "";
-                  }).join("\n")
+                ? this.convertContentParts(msg.content, msg.role)
                 : "");
-          
-          if (content) {
+
+          if (content.length > 0) {
             input.push({ role: msg.role, content });
           }
 
@@ -69,10 +118,15 @@ class ChatGPTOAuthTransformer {
             }
           }
         } else if (msg.role === "tool") {
+          // Content arrays (e.g. screenshots) become an output content list
           input.push({
             type: "function_call_output",
             call_id: msg.tool_call_id,
-            output: typeof msg.content === "string" ? msg.content : JSON.stringify(msg.content),
+            output: typeof msg.content === "string"
+              ? msg.content
+              : (Array.isArray(msg.content)
+                  ? this.convertContentParts(msg.content, "user")
+                  : JSON.stringify(msg.content)),
           });
         }
       }
@@ -85,10 +139,20 @@ class ChatGPTOAuthTransformer {
         type: "function",
         name: tool.function.name,
         description: tool.function.description,
-        parameters: tool.function.parameters,
+        parameters: normalizeToolParameters(tool.function.parameters, "openai", tool.function.name, "chatgpt-oauth"),
       }));
     }
 
+    // The Codex endpoint only streams; remember whether the client wanted a
+    // stream so transformResponseOut can aggregate it otherwise
+    const responseFormat = parseResponseFormat(request.response_format);
+    const state = requestState(context);
+    if (state) {
+      state.clientStream = request.stream === true;
+      state.responseFormat = responseFormat;
+      state.toolNames = sanitized.toolNames;
+    }
+
     const transformedRequest = {
       model: request.model,
       instructions: instructions || "You are a helpful assistant.",
@@ -97,8 +161,36 @@ class ChatGPTOAuthTransformer {
       stream: true,
     };
 
+    if (responseFormat) {
+      transformedRequest.text = {
+        format: responseFormat.type === "json_schema"
+          ? {
+              type: "json_schema",
+              name: responseFormat.name,
+              schema: responseFormat.schema,
+              strict: responseFormat.strict ?? false,
+            }
+          : { type: "json_object" },
+      };
+    }
+
+    if (capabilities.thinking !== false) {
+      transformedRequest.reasoning = this.resolveReasoning(request);
+      // store is false, so reasoning only survives tool turns if we carry it
+      transformedRequest.include = ["reasoning.encrypted_content"];
+    }
+
     if (tools.length > 0) {
       transformedRequest.tools = tools;
+      const toolChoice = parseToolChoice(request.tool_choice);
+      if (toolChoice) {
+        transformedRequest.tool_choice = toolChoice.mode === "function"
+          ? { type: "function", name: toolChoice.name }
+          : toolChoice.mode;
+      }
+      if (typeof request.parallel_tool_calls === "boolean") {
+        transformedRequest.parallel_tool_calls = request.parallel_tool_calls;
+      }
     }
 
     if (this.logger) {
@@ -114,21 +206,146 @@ class ChatGPTOAuthTransformer {
       body: transformedRequest,
       config: {
         url: new URL(CHATGPT_CODEX_API),
-        headers: {
-          Authorization: `Bearer ${this.oauth_creds.tokens.access_token}`,
-          "Content-Type": "application/json",
-          Accept: "text/event-stream",
-        },
+        headers: this.buildHeaders(),
       },
     };
   }
 
+  /**
+   * Build Codex request headers from the current credentials
+   */
+  buildHeaders() {
+    const tokens = this.oauth_creds.tokens;
+    const headers = {
+      Authorization: `Bearer ${tokens.access_token}`,
+      "Content-Type": "application/json",
+      Accept: "text/event-stream",
+    };
+
+    const claims = decodeJwtPayload(tokens.id_token || "");
+    const accountId = claims?.["https://api.openai.com/auth"]?.chatgpt_account_id || tokens.account_id;
+    if (accountId) {
+      headers["chatgpt-account-id"] = accountId;
+    }
+    return headers;
+  }
+
+  /**
+   * Refresh the access token ahead of its exp claim.
+   * Falls back to the last_refresh age when the token carries no exp.
+   * This is the only refresh point: the router rejects a 401 before
+   * transformResponseOut runs, so a failed request cannot be replayed here.
+   */
+  async ensureFreshToken() {
+    const tokens = this.oauth_creds?.tokens;
+    if (!tokens?.refresh_token) return;
+
+    const exp = decodeJwtPayload(tokens.access_token || "")?.exp;
+    let expiresSoon;
+    if (exp) {
+      expiresSoon = exp * 1000 - Date.now() < REFRESH_MARGIN_MS;
+    } else {
+      const lastRefresh = new Date(this.oauth_creds.last_refresh || 0);
+      expiresSoon = Date.now() - lastRefresh.getTime() > 23 * 60 * 60 * 1000;
+    }
+
+    if (expiresSoon) {
+      await this.refreshTokenOnce();
+    }
+  }
+
+  /**
+   * Refresh the token, sharing one in-flight refresh between concurrent requests
+   */
+  refreshTokenOnce() {
+    if (!this.refreshPromise) {
+      this.refreshPromise = this.refreshToken(this.oauth_creds.tokens.refresh_token)
+        .finally(() => {
+          this.refreshPromise = null;
+        });
+    }
+    return this.refreshPromise;
+  }
+
+  /**
+   * Convert Chat Completion content blocks to Responses API content parts.
+   * User turns accept text, images and files; assistant turns only carry output_text.
+   */
+  convertContentParts(blocks, role) {
+    const parts = [];
+    for (const block of blocks) {
+      if (block.type === "text") {
+        parts.push({ type: role === "assistant" ? "output_text" : "input_text", text: block.text || "" });
+        continue;
+      }
+      if (role === "assistant") continue;
+
+      if (block.type === "image_url") {
+        const url = block.image_url?.url || block.image_url;
+        if (typeof url !== "string") continue;
+        parts.push({
+          type: "input_image",
+          image_url: url,
+          detail: block.image_url?.detail || "auto",
+        });
+      } else if (isDocumentPart(block)) {
+        parts.push(this.convertDocument(parseDocument(block)));
+      }
+    }
+    return parts;
+  }
+
+  /**
+   * Convert a document (OpenAI file, Anthropic document, Responses input_file) to an
+   * input_file part. Text documents are sent as input_text.
+   */
+  convertDocument(document) {
+    if (document.kind === "text") return { type: "input_text", text: documentToText(document).text };
+    if (document.kind === "url") return { type: "input_file", file_url: document.url };
+    if (document.kind === "file_id") return { type: "input_file", file_id: document.fileId };
+    return {
+      type: "input_file",
+      filename: document.title || (document.kind === "pdf" ? "document.pdf" : "document"),
+      file_data: `data:${document.mediaType};base64,${document.data}`,
+    };
+  }
+
+  /**
+   * Resolve Responses API reasoning settings from request hints and per-model options.
+   * Precedence: reasoning_effort / reasoning.effort, then thinking.budget_tokens,
+   * then options.reasoning[model], then medium effort with an auto summary.
+   */
+  resolveReasoning(request) {
+    const modelConfig = this.options?.reasoning?.[request.model] || {};
+    const reasoning = {
+      effort: modelConfig.effort || "medium",
+      summary: modelConfig.summary || "auto",
+    };
+
+    const budget = request.thinking?.budget_tokens;
+    if (request.reasoning_effort || request.reasoning?.effort) {
+      reasoning.effort = request.reasoning_effort || request.reasoning.effort;
+    } else if (request.thinking?.type === "disabled") {
+      reasoning.effort = "low";
+    } else if (budget) {
+      reasoning.effort = budget < 4096 ? "low" : budget < 16384 ? "medium" : "high";
+    }
+    if (request.reasoning?.summary) {
+      reasoning.summary = request.reasoning.summary;
+    }
+
+    return reasoning;
+  }
+
   /**
    * Transform ChatGPT Responses API SSE stream to OpenAI Chat Completion SSE stream format
-   * This format is then converted to Anthropic format by the built-in Anthropic transformer
+   * This format is then converted to Anthropic format by the built-in Anthropic transformer.
+   * When the client did not ask for a stream, the converted chunks are aggregated into a
+   * single chat.completion JSON response instead.
    */
-  async transformResponseOut(response) {
+  async transformResponseOut(response, context) {
     const contentType = response.headers.get("Content-Type") || "";
+    const state = requestState(context);
 
     if (!response.body) {
       return response;
@@ -138,94 +355,119 @@ class ChatGPTOAuthTransformer {
       return response;
     }
 
-    const decoder = new TextDecoder();
-    const encoder = new TextEncoder();
-    let buffer = "";
     let messageId = "chatcmpl-" + Date.now();
     let model = "gpt-5.2-codex";
     let hasStarted = false;
     let toolCallIndex = -1;
+    let finished = false;
+    let failed = false;
+    const responseFormat = this.options?.validateResponseFormat ? state?.responseFormat : undefined;
+    let contentText = "";
+    // Completed reasoning items, sent as one thinking signature before the output they precede
+    let reasoningItems = [];
+    const flushReasoning = (emit) => {
+      if (reasoningItems.length === 0) return;
+      emit({
+        id: messageId,
+        object: "chat.completion.chunk",
+        created: Math.floor(Date.now() / 1000),
+        model: model,
+        choices: [{
+          index: 0,
+          delta: { thinking: { signature: encodeReasoningSignature(reasoningItems) } },
+          finish_reason: null
+        }]
+      });
+      reasoningItems = [];
+    };
 
-    const self = this;
-    const stream = new ReadableStream({
-      async start(controller) {
-        const reader = response.body.getReader();
+    const stream = transformSSE(response.body, {
+      onEvent: ({ event, data: dataStr }, emit) => {
+        if (!dataStr || dataStr === "[DONE]") return;
 
+        let data;
         try {
-          while (true) {
-            const { done, value } = await reader.read();
-            if (done) {
-              // Send final chunk with finish_reason
-              const finalChunk = {
-                id: messageId,
-                object: "chat.completion.chunk",
-                created: Math.floor(Date.now() / 1000),
-                model: model,
-                choices: [{
-                  index: 0,
-                  delta: {},
-                  finish_reason: "stop"
-                }]
-              };
-              controller.enqueue(encoder.encode(`data: ${JSON.stringify(finalChunk)}\n\n`));
-              controller.enqueue(encoder.encode("data: [DONE]\n\n"));
-              break;
-            }
+          data = JSON.parse(dataStr);
+        } catch (e) {
+          // Skip unparseable events
+          return;
+        }
+        if (!data.type) data.type = event;
 
-            const chunk = decoder.decode(value, { stream: true });
-            buffer += chunk;
-
-            let lines = buffer.split(/\r?\n/);
-            buffer = lines.pop() || "";
-
-            for (const line of lines) {
-              if (!line.trim()) continue;
-
-              if (line.startsWith("event: ")) {
-                continue;
-              } else if (line.startsWith("data: ")) {
-                const dataStr = line.slice(5).trim();
-                if (dataStr === "[DONE]") {
-                  continue;
-                }
-
-                try {
-                  const data = JSON.parse(dataStr);
-                  const openAIChunks = self.convertToOpenAIChunks(
-                    data, 
-                    messageId, 
-                    model,
-                    hasStarted,
-                    toolCallIndex
-                  );
-                  
-                  for (const chunkData of openAIChunks) {
-                    if (chunkData._internal) {
-                      if (chunkData.hasStarted !== undefined) hasStarted = chunkData.hasStarted;
-                      if (chunkData.model) model = chunkData.model;
-                      if (chunkData.toolCallIndex !== undefined) toolCallIndex = chunkData.toolCallIndex;
-                      continue;
-                    }
-                    controller.enqueue(encoder.encode(`data: ${JSON.stringify(chunkData)}\n\n`));
-                  }
-                } catch (e) {
-                  // Skip unparseable lines
-                }
-              }
-            }
+        const outputStarts = data.type === "response.output_item.added" && data.item?.type !== "reasoning";
+        if (outputStarts || data.type === "response.completed" || data.type === "response.incomplete") {
+          flushReasoning(emit);
+        }
+
+        const openAIChunks = this.convertToOpenAIChunks(
+          data,
+          messageId,
+          model,
+          hasStarted,
+          toolCallIndex,
+          state?.toolNames
+        );
+
+        for (const chunkData of openAIChunks) {
+          if (chunkData._internal) {
+            if (chunkData.hasStarted !== undefined) hasStarted = chunkData.hasStarted;
+            if (chunkData.model) model = chunkData.model;
+            if (chunkData.toolCallIndex !== undefined) toolCallIndex = chunkData.toolCallIndex;
+            if (chunkData.finished !== undefined) finished = chunkData.finished;
+            if (chunkData.reasoningItem) reasoningItems.push(chunkData.reasoningItem);
+            continue;
+          }
+          if (chunkData.error) failed = true;
+          if (responseFormat) {
+            contentText += chunkData.choices?.[0]?.delta?.content || "";
           }
-        } catch (error) {
-          console.error("Stream error:", error);
-          controller.error(error);
-        } finally {
-          try {
-            reader.releaseLock();
-          } catch (e) {}
-          controller.close();
+          emit(chunkData);
         }
       },
+      onEnd: (emit) => {
+        // Fall back to a final chunk when the upstream ended without a terminal event
+        if (!finished) {
+          flushReasoning(emit);
+          emit({
+            id: messageId,
+            object: "chat.completion.chunk",
+            created: Math.floor(Date.now() / 1000),
+            model: model,
+            choices: [{
+              index: 0,
+              delta: {},
+              finish_reason: toolCallIndex >= 0 ? "tool_calls" : "stop"
+            }]
+          });
+        }
+        // A turn that calls the client's tools is not the final answer yet, and a
+        // failed one has already reported its error
+        const formatError = toolCallIndex < 0 && !failed ? checkStructuredOutput(contentText, responseFormat) : null;
+        if (formatError) {
+          this.logger?.warn({ error: formatError }, "chatgpt-oauth response_format mismatch");
+          emit({ error: formatError });
+        }
+        emit("[DONE]");
+      },
     });
 
+    const clientStream = state?.clientStream ?? context?.req?.body?.stream;
+    if (clientStream === false) {
+      const chunks = parseSSE(await new Response(stream).text())
+        .filter(({ data }) => data !== "[DONE]")
+        .map(({ data }) => JSON.parse(data));
+
+      const completion = this.aggregateChunks(chunks);
+      const headers = { "Content-Type": "application/json" };
+      if (completion.error?.retry_after !== undefined) {
+        headers["Retry-After"] = String(completion.error.retry_after);
+      }
+      return new Response(JSON.stringify(completion), {
+        status: completion.error ? statusForType(completion.error.type) : response.status,
+        headers,
+      });
+    }
+
     return new Response(stream, {
       status: response.status,
       statusText: response.statusText,
@@ -237,10 +479,74 @@ class ChatGPTOAuthTransformer {
     });
   }
 
+  /**
+   * Merge OpenAI Chat Completion chunks into a single chat.completion object.
+   * An error chunk is returned as an OpenAI error payload instead.
+   * Reasoning text and items end up in `message.thinking`, as the router expects them.
+   */
+  aggregateChunks(chunks) {
+    const message = { role: "assistant", content: "" };
+    const toolCalls = [];
+    const reasoningItems = [];
+    let reasoning = "";
+    let finishReason = null;
+    let usage;
+
+    for (const chunk of chunks) {
+      if (chunk.error) {
+        return { error: chunk.error };
+      }
+
+      const choice = chunk.choices?.[0];
+      const delta = choice?.delta || {};
+      if (delta.content) message.content += delta.content;
+      if (delta.thinking?.content) reasoning += delta.thinking.content;
+      if (delta.thinking?.signature) reasoningItems.push(...decodeReasoningSignature(delta.thinking.signature));
+
+      for (const toolCall of delta.tool_calls || []) {
+        if (!toolCalls[toolCall.index]) {
+          toolCalls[toolCall.index] = {
+            id: toolCall.id,
+            type: "function",
+            function: { name: toolCall.function?.name || "", arguments: "" },
+          };
+        }
+        toolCalls[toolCall.index].function.arguments += toolCall.function?.arguments || "";
+      }
+
+      if (choice?.finish_reason) finishReason = choice.finish_reason;
+      if (chunk.usage) usage = chunk.usage;
+    }
+
+    if (reasoningItems.length > 0) {
+      message.thinking = { content: reasoning, signature: encodeReasoningSignature(reasoningItems) };
+    } else if (reasoning) {
+      message.thinking = { content: reasoning };
+    }
+    const completedToolCalls = toolCalls.filter(Boolean);
+    if (completedToolCalls.length > 0) {
+      message.tool_calls = completedToolCalls;
+    }
+
+    const first = chunks[0] || {};
+    return {
+      id: first.id || "chatcmpl-" + Date.now(),
+      object: "chat.completion",
+      created: first.created || Math.floor(Date.now() / 1000),
+      model: chunks[chunks.length - 1]?.model || first.model,
+      choices: [{
+        index: 0,
+        message,
+        finish_reason: finishReason || "stop",
+      }],
+      usage: usage || { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 },
+    };
+  }
+
   /**
    * Convert a ChatGPT Responses API event to OpenAI Chat Completion chunk format
    */
-  convertToOpenAIChunks(data, messageId, model, hasStarted, toolCallIndex) {
+  convertToOpenAIChunks(data, messageId, model, hasStarted, toolCallIndex, toolNames) {
     const chunks = [];
     const type = data.type;
 
@@ -280,7 +586,7 @@ class ChatGPTOAuthTransformer {
       });
     }
 
-    // Reasoning/thinking delta - send as reasoning_content for compatible clients
+    // Reasoning summary delta - the router shows delta.thinking as a thinking block
     if (type === "response.reasoning_summary_text.delta") {
       chunks.push({
         id: messageId,
@@ -289,7 +595,7 @@ class ChatGPTOAuthTransformer {
         model: model,
         choices: [{
           index: 0,
-          delta: { reasoning_content: data.delta || "" },
+          delta: { thinking: { content: data.delta || "" } },
           finish_reason: null
         }]
       });
@@ -311,7 +617,7 @@ class ChatGPTOAuthTransformer {
               id: data.item.call_id || data.item.id || `call_${Date.now()}`,
               type: "function",
               function: {
-                name: data.item.name || "",
+                name: (toolNames ? toolNames.decode(data.item.name) : data.item.name) || "",
                 arguments: ""
               }
             }]
@@ -344,9 +650,82 @@ class ChatGPTOAuthTransformer {
       });
     }
 
+    // Completed reasoning item - keep its encrypted content for the next turn
+    if (type === "response.output_item.done" && data.item?.type === "reasoning" && data.item.encrypted_content) {
+      chunks.push({
+        _internal: true,
+        reasoningItem: {
+          type: "reasoning",
+          summary: data.item.summary || [],
+          encrypted_content: data.item.encrypted_content
+        }
+      });
+    }
+
+    // Terminal events carry the real finish reason and usage
+    if (type === "response.completed" || type === "response.incomplete") {
+      const usage = this.convertUsage(data.response?.usage);
+      chunks.push({
+        id: messageId,
+        object: "chat.completion.chunk",
+        created: Math.floor(Date.now() / 1000),
+        model: data.response?.model || model,
+        choices: [{
+          index: 0,
+          delta: {},
+          finish_reason: this.mapFinishReason(data.response, toolCallIndex >= 0)
+        }],
+        ...(usage ? { usage } : {})
+      });
+      chunks.push({ _internal: true, finished: true });
+    }
+
+    // Failed responses and stream-level errors become an OpenAI error payload
+    if (type === "response.failed" || type === "error") {
+      const error = type === "error" ? data : data.response?.error || {};
+      const { error: openAIError } = normalizeError({
+        error: { ...error, message: error.message || "ChatGPT Codex response failed" }
+      });
+      chunks.push({ error: openAIError });
+      chunks.push({ _internal: true, finished: true });
+    }
+
     return chunks;
   }
 
+  /**
+   * Map a terminal Responses API response to an OpenAI finish_reason
+   */
+  mapFinishReason(response, hasToolCalls) {
+    if (response?.status === "incomplete") {
+      const reason = response.incomplete_details?.reason;
+      if (reason === "max_output_tokens") return "length";
+      if (reason === "content_filter") return "content_filter";
+      return "length";
+    }
+    const calledTools = hasToolCalls ||
+      (response?.output || []).some(item => item.type === "function_call");
+    return calledTools ? "tool_calls" : "stop";
+  }
+
+  /**
+   * Convert Responses API usage to OpenAI Chat Completion usage
+   */
+  convertUsage(usage) {
+    if (!usage) return undefined;
+    return {
+      prompt_tokens: usage.input_tokens || 0,
+      completion_tokens: usage.output_tokens || 0,
+      total_tokens: usage.total_tokens || (usage.input_tokens || 0) + (usage.output_tokens || 0),
+      prompt_tokens_details: {
+        cached_tokens: usage.input_tokens_details?.cached_tokens || 0
+      },
+      completion_tokens_details: {
+        reasoning_tokens: usage.output_tokens_details?.reasoning_tokens || 0
+      }
+    };
+  }
+
   async refreshToken(refresh_token) {
     try {
       const response = await fetch("https://auth.openai.com/oauth/token", {
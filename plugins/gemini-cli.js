@@ -1,6 +1,18 @@
 const os = require("os");
 const path = require("path");
 const fs = require("fs/promises");
+const { transformSSE } = require("./lib/sse");
+const { normalizeError, statusForType, errorResponse } = require("./lib/errors");
+const { getCapabilities, applyCapabilities } = require("./lib/capabilities");
+const { parseToolChoice } = require("./lib/tool-choice");
+const { parseResponseFormat, checkStructuredOutput } = require("./lib/structured-output");
+const { normalizeSchema, normalizeToolParameters } = require("./lib/schema-normalizer");
+const { sanitizeToolNames } = require("./lib/tool-names");
+const { repairMessages, repairGeminiContents } = require("./lib/conversation-repair");
+const { parseToolArguments, checkToolArguments, collectToolSchemas } = require("./lib/tool-arguments");
+const { PDF_MEDIA_TYPE, isDocumentPart, parseDocument, documentToText } = require("./lib/documents");
+const { requestState } = require("./lib/request-state");
+const { THOUGHT_SIGNATURE_PREFIX, encodeSignature, decodeSignature } = require("./lib/thinking-signature");
 
 const OAUTH_FILE = path.join(os.homedir(), ".gemini", "oauth_creds.json");
 
@@ -177,20 +189,496 @@ function tTool(tool) {
   return tool;
 }
 
+// Documented placeholder for function calls that have no signature of their
+// own (e.g. history produced by another provider). Gemini 3 rejects the
+// first function call of a step when its signature is missing.
+const SKIP_THOUGHT_SIGNATURE = "skip_thought_signature_validator";
+
+/**
+ * Convert a Gemini functionCall part into an OpenAI tool call.
+ * The arguments are checked against the tool's schema before they are handed back.
+ * @param {Object} part - Gemini content part with a functionCall
+ * @param {Object} [options]
+ * @param {Object} [options.toolNames] - ToolNameMap used to restore sanitized tool names
+ * @param {Map} [options.toolSchemas] - Tool parameter schemas, by original tool name
+ * @returns {Object} - OpenAI tool call
+ */
+function partToToolCall(part, { toolNames, toolSchemas } = {}) {
+  const name = toolNames ? toolNames.decode(part.functionCall?.name) : part.functionCall?.name;
+  const args = checkToolArguments(part.functionCall?.args, toolSchemas?.get(name), name, "gemini-cli");
+  const toolCall = {
+    id:
+      part.functionCall?.id ||
+      `tool_${Math.random().toString(36).substring(2, 15)}`,
+    type: "function",
+    function: {
+      name,
+      arguments: JSON.stringify(args),
+    },
+  };
+  return toolCall;
+}
+
+/**
+ * Pack the thoughtSignatures Gemini 3 attaches to functionCall parts into a
+ * thinking signature, keyed by tool call id. The router keeps
+ * `thinking.signature` across turns but drops extra tool call fields.
+ * @param {Array} parts - Gemini content parts
+ * @param {Array} toolCalls - Tool calls converted from the functionCall parts, in order
+ * @returns {string|undefined} Signature, or undefined when no call carries one
+ */
+function packThoughtSignatures(parts, toolCalls) {
+  const signatures = {};
+  parts
+    .filter((part) => part.functionCall)
+    .forEach((part, index) => {
+      if (part.thoughtSignature) signatures[toolCalls[index].id] = part.thoughtSignature;
+    });
+  if (Object.keys(signatures).length === 0) return undefined;
+  return encodeSignature(THOUGHT_SIGNATURE_PREFIX, signatures);
+}
+
+// Image URL extension -> mime type, for fileData parts
+const IMAGE_MIME_TYPES = {
+  jpg: "image/jpeg",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+};
+
+/**
+ * Convert an image content part (OpenAI image_url or Anthropic-style image)
+ * into a Gemini inlineData / fileData part.
+ * @param {Object} part - Image content part
+ * @returns {Object|undefined} - Gemini part, or undefined if there is no image
+ */
+function imageToGeminiPart(part) {
+  if (part?.type === "image" && part.source?.type === "base64") {
+    return {
+      inlineData: { mimeType: part.source.media_type, data: part.source.data },
+    };
+  }
+  const url =
+    part?.type === "image"
+      ? part.source?.url
+      : part?.image_url?.url || part?.image_url;
+  if (typeof url !== "string") {
+    return undefined;
+  }
+  const dataUrl = url.match(/^data:([^;,]+)(?:;base64)?,(.*)$/s);
+  if (dataUrl) {
+    return { inlineData: { mimeType: dataUrl[1], data: dataUrl[2] } };
+  }
+  const extension = url.split("?")[0].split(".").pop().toLowerCase();
+  const mimeType =
+    part.media_type || IMAGE_MIME_TYPES[extension] || "image/png";
+  return { fileData: { mimeType, fileUri: url } };
+}
+
+/**
+ * Convert a document content part (OpenAI file, Anthropic document, Responses
+ * input_file) into a Gemini part. PDFs become inlineData / fileData; text
+ * files and anything Gemini cannot read are inlined as text.
+ * @param {Object} part - Document content part
+ * @returns {Object} - Gemini part
+ */
+function documentToGeminiPart(part) {
+  const document = parseDocument(part);
+  if (document.kind === "pdf") {
+    return { inlineData: { mimeType: PDF_MEDIA_TYPE, data: document.data } };
+  }
+  if (document.kind === "url" && document.mediaType === PDF_MEDIA_TYPE) {
+    return { fileData: { mimeType: PDF_MEDIA_TYPE, fileUri: document.url } };
+  }
+  return { text: documentToText(document).text };
+}
+
+/**
+ * Convert a tool message into a Gemini functionResponse part.
+ * JSON output is passed through as the response object; anything else is
+ * wrapped as `{ output }` since the response must be a Struct. Images in the
+ * tool result (e.g. screenshots) become the functionResponse's inline parts;
+ * documents are added to the output as text.
+ * @param {Object} message - OpenAI tool message
+ * @param {Map<string, string>} toolCallNames - tool_call_id -> function name
+ * @returns {Object} - Gemini functionResponse part
+ */
+function toolMessageToFunctionResponse(message, toolCallNames) {
+  const output =
+    typeof message.content === "string"
+      ? message.content
+      : Array.isArray(message.content)
+      ? message.content
+          .filter((content) => content?.type === "text" || isDocumentPart(content))
+          .map((content) =>
+            content.type === "text" ? content.text : documentToText(parseDocument(content)).text
+          )
+          .join("\n")
+      : JSON.stringify(message.content ?? "");
+
+  let response;
+  try {
+    const parsed = JSON.parse(output);
+    response =
+      parsed && typeof parsed === "object" && !Array.isArray(parsed)
+        ? parsed
+        : { output: parsed };
+  } catch {
+    response = { output };
+  }
+
+  const parts = Array.isArray(message.content)
+    ? message.content
+        .filter((content) => content?.type === "image_url" || content?.type === "image")
+        .map(imageToGeminiPart)
+        .filter(Boolean)
+    : [];
+
+  return {
+    functionResponse: {
+      id: message.tool_call_id,
+      name:
+        toolCallNames.get(message.tool_call_id) || message.name || "unknown",
+      response,
+      ...(parts.length ? { parts } : {}),
+    },
+  };
+}
+
+/**
+ * Convert OpenAI messages into Gemini contents.
+ * System messages are collected into a separate systemInstruction.
+ * Consecutive tool messages answering one model turn are grouped into a
+ * single user turn of functionResponse parts, as Gemini expects.
+ * @param {Array} messages - OpenAI format messages
+ * @param {Object} options
+ * @param {boolean} options.isGemini3 - Whether the target model is Gemini 3
+ * @returns {{systemInstruction: Object|undefined, contents: Array}} - Gemini contents
+ */
+function convertMessages(messages, { isGemini3 }) {
+  const contents = [];
+  const systemParts = [];
+  const toolCallNames = new Map();
+  let toolResponseTurn = null;
+
+  for (const message of messages) {
+    if (message.role === "system") {
+      if (typeof message.content === "string") {
+        systemParts.push({ text: message.content });
+      } else if (Array.isArray(message.content)) {
+        systemParts.push(
+          ...message.content
+            .filter((content) => content.type === "text")
+            .map((content) => ({ text: content.text || "" }))
+        );
+      }
+      continue;
+    }
+
+    if (message.role === "tool") {
+      const part = toolMessageToFunctionResponse(message, toolCallNames);
+      if (toolResponseTurn) {
+        toolResponseTurn.parts.push(part);
+      } else {
+        toolResponseTurn = { role: "user", parts: [part] };
+        contents.push(toolResponseTurn);
+      }
+      continue;
+    }
+    toolResponseTurn = null;
+
+    let role;
+    if (message.role === "assistant") {
+      role = "model";
+    } else if (message.role === "user") {
+      role = "user";
+    } else {
+      role = "user"; // Default to user if role is not recognized
+    }
+    const parts = [];
+    if (typeof message.content === "string" && message.content) {
+      parts.push({
+        text: message.content,
+      });
+    } else if (Array.isArray(message.content)) {
+      parts.push(
+        ...message.content.map((content) => {
+          if (content.type === "text") {
+            return {
+              text: content.text || "",
+            };
+          }
+          if (content.type === "image_url" || content.type === "image") {
+            return imageToGeminiPart(content);
+          }
+          if (isDocumentPart(content)) {
+            return documentToGeminiPart(content);
+          }
+        })
+      );
+    }
+
+    if (Array.isArray(message.tool_calls)) {
+      const thoughtSignatures = decodeSignature(THOUGHT_SIGNATURE_PREFIX, message.thinking?.signature);
+      parts.push(
+        ...message.tool_calls.map((toolCall, index) => {
+          const part = {
+            functionCall: {
+              id:
+                toolCall.id ||
+                `tool_${Math.random().toString(36).substring(2, 15)}`,
+              name: toolCall.function.name,
+              args: parseToolArguments(toolCall.function.arguments, toolCall.function.name, "gemini-cli"),
+            },
+          };
+          toolCallNames.set(part.functionCall.id, part.functionCall.name);
+          const thoughtSignature = thoughtSignatures?.[toolCall.id];
+          if (thoughtSignature) {
+            part.thoughtSignature = thoughtSignature;
+          } else if (index === 0 && isGemini3) {
+            part.thoughtSignature = SKIP_THOUGHT_SIGNATURE;
+          }
+          return part;
+        })
+      );
+    }
+    contents.push({
+      role,
+      parts,
+    });
+  }
+
+  return {
+    systemInstruction: systemParts.length ? { parts: systemParts } : undefined,
+    contents,
+  };
+}
+
+// Thinking budgets used when only an effort level is given
+const THINKING_BUDGETS = {
+  minimal: 128,
+  low: 1024,
+  medium: 8192,
+  high: 24576,
+};
+
+/**
+ * Build a Gemini thinkingConfig from the request's thinking hints.
+ * Gemini 2.5 takes a token budget, Gemini 3 takes a thinking level.
+ * Accepts Anthropic-style `thinking`, OpenRouter-style `reasoning` and
+ * OpenAI `reasoning_effort`.
+ * @param {Object} request - OpenAI format request
+ * @param {Object} [capabilities] - Model capabilities, with `thinking` resolved
+ *   by GeminiCLITransformer#thinkingStyle ("budget", "level" or false)
+ * @returns {Object|undefined} - Gemini thinkingConfig
+ */
+function buildThinkingConfig(request, capabilities = {}) {
+  const model = request.model || "";
+  const style = capabilities.thinking;
+  if (!style) {
+    return undefined;
+  }
+  const isGemini3 = style === "level";
+
+  const effort = request.reasoning?.effort || request.reasoning_effort;
+  let budget;
+  let disabled = false;
+  if (request.thinking?.type === "disabled" || effort === "none") {
+    disabled = true;
+  } else if (request.thinking?.budget_tokens) {
+    budget = request.thinking.budget_tokens;
+  } else if (request.reasoning?.max_tokens) {
+    budget = request.reasoning.max_tokens;
+  } else if (effort && THINKING_BUDGETS[effort]) {
+    budget = THINKING_BUDGETS[effort];
+  }
+
+  if (isGemini3) {
+    // Gemini 3 cannot turn thinking off; the lowest level is the closest match.
+    const thinkingConfig = { includeThoughts: !disabled };
+    if (disabled) {
+      thinkingConfig.thinkingLevel = "low";
+    } else if (budget !== undefined) {
+      thinkingConfig.thinkingLevel =
+        budget <= THINKING_BUDGETS.low ? "low" : "high";
+    }
+    return thinkingConfig;
+  }
+
+  if (disabled) {
+    // 2.5 Pro cannot disable thinking; fall back to its minimum budget.
+    return {
+      includeThoughts: false,
+      thinkingBudget: model.includes("pro") ? 128 : 0,
+    };
+  }
+  const thinkingConfig = { includeThoughts: true };
+  if (budget !== undefined) {
+    thinkingConfig.thinkingBudget = budget;
+  }
+  return thinkingConfig;
+}
+
+/**
+ * Build a Gemini toolConfig from OpenAI tool_choice.
+ * Gemini has no switch for parallel calls, so parallel_tool_calls is not mapped.
+ * @param {string|Object} toolChoice - OpenAI tool_choice
+ * @param {Array} functionDeclarations - Declared functions
+ * @returns {Object|undefined} - Gemini toolConfig
+ */
+function buildToolConfig(toolChoice, functionDeclarations) {
+  const parsed = parseToolChoice(toolChoice);
+  if (!parsed || !functionDeclarations?.length) {
+    return undefined;
+  }
+
+  const modes = { auto: "AUTO", none: "NONE", required: "ANY" };
+  if (parsed.mode !== "function") {
+    return { functionCallingConfig: { mode: modes[parsed.mode] } };
+  }
+  if (!functionDeclarations.some((declaration) => declaration.name === parsed.name)) {
+    return undefined;
+  }
+  return {
+    functionCallingConfig: { mode: "ANY", allowedFunctionNames: [parsed.name] },
+  };
+}
+
+/**
+ * Convert Gemini usageMetadata into OpenAI usage.
+ * Gemini reports thoughts separately from candidates; OpenAI counts
+ * reasoning tokens as part of completion_tokens.
+ * @param {Object} usageMetadata - Gemini usage metadata
+ * @returns {Object} - OpenAI usage
+ */
+function convertUsage(usageMetadata) {
+  const thoughtsTokens = usageMetadata?.thoughtsTokenCount || 0;
+  const usage = {
+    completion_tokens:
+      (usageMetadata?.candidatesTokenCount || 0) + thoughtsTokens,
+    prompt_tokens: usageMetadata?.promptTokenCount || 0,
+    total_tokens: usageMetadata?.totalTokenCount || 0,
+  };
+  if (thoughtsTokens) {
+    usage.completion_tokens_details = { reasoning_tokens: thoughtsTokens };
+  }
+  return usage;
+}
+
+/**
+ * Build a Gemini generationConfig from OpenAI sampling, stop,
+ * response_format and thinking parameters.
+ * @param {Object} request - OpenAI format request
+ * @param {Object} [capabilities] - Model capabilities from the registry
+ * @returns {Object|undefined} - Gemini generationConfig
+ */
+function buildGenerationConfig(request, capabilities) {
+  const generationConfig = {};
+  if (request.temperature !== undefined) {
+    generationConfig.temperature = request.temperature;
+  }
+  if (request.top_p !== undefined) {
+    generationConfig.topP = request.top_p;
+  }
+  const maxTokens = request.max_completion_tokens ?? request.max_tokens;
+  if (maxTokens !== undefined) {
+    generationConfig.maxOutputTokens = maxTokens;
+  }
+  if (request.stop) {
+    generationConfig.stopSequences = Array.isArray(request.stop)
+      ? request.stop
+      : [request.stop];
+  }
+
+  const responseFormat = parseResponseFormat(request.response_format);
+  if (responseFormat) {
+    generationConfig.responseMimeType = "application/json";
+    const schema =
+      responseFormat.schema && normalizeSchema(responseFormat.schema, "gemini", { objectRoot: false }).schema;
+    if (schema) {
+      try {
+        generationConfig.responseSchema = processJsonSchema(schema);
+      } catch {
+        // Fall back to the raw JSON Schema field for shapes the GenAI
+        // schema subset cannot express.
+        generationConfig.responseJsonSchema = schema;
+      }
+    }
+  }
+
+  const thinkingConfig = buildThinkingConfig(request, capabilities);
+  if (thinkingConfig) {
+    generationConfig.thinkingConfig = thinkingConfig;
+  }
+
+  return Object.keys(generationConfig).length ? generationConfig : undefined;
+}
+
 class GeminiCLITransformer {
   name = "gemini-cli";
 
   constructor(options) {
     this.options = options;
+    // Models whose thinking style was guessed from the name (warned once each)
+    this.guessedModels = new Set();
     try {
       this.oauth_creds = require(OAUTH_FILE);
     } catch {}
   }
 
-  async transformRequestIn(request, provider) {
+  /**
+   * Thinking style of a model: "level" for Gemini 3, "budget" for Gemini 2.5,
+   * false when it does not think. The capability registry decides; the model
+   * name is only a fallback for models whose `thinking` is not declared.
+   * @param {string} model - Model name
+   * @param {Object} capabilities - Registry capabilities of the model
+   * @returns {string|false|undefined} - Thinking style
+   */
+  thinkingStyle(model, capabilities) {
+    if (capabilities.thinking !== undefined) {
+      return capabilities.thinking;
+    }
+    const guess = model?.includes("gemini-3")
+      ? "level"
+      : model?.includes("gemini-2.5")
+      ? "budget"
+      : undefined;
+    if (!this.guessedModels.has(model)) {
+      this.guessedModels.add(model);
+      this.logger?.warn(
+        { model, thinking: guess },
+        "gemini-cli: no thinking capability declared for model, guessed from its name"
+      );
+    }
+    return guess;
+  }
+
+  async transformRequestIn(request, provider, context) {
     if (this.oauth_creds && this.oauth_creds.expiry_date < +new Date()) {
       await this.refreshToken(this.oauth_creds.refresh_token);
     }
+    // Gemini 3 (thinking by level) needs thought signatures on function calls
+    // and is the only generation that takes images inside function responses
+    const registered = getCapabilities(this.options?.capabilities, request.model);
+    const thinking = this.thinkingStyle(request.model, registered);
+    const isGemini3 = thinking === "level";
+    const capabilities = {
+      tool_result_images: isGemini3,
+      ...registered,
+      thinking,
+    };
+    request = applyCapabilities(request, capabilities, "gemini-cli");
+    // Returned calls are checked against the schemas under the client's tool names
+    const toolSchemas = collectToolSchemas(request.tools);
+    // Gemini rejects names with dots, slashes or dashes; responses map them back
+    const sanitized = sanitizeToolNames(request, "gemini", "gemini-cli");
+    request = sanitized.request;
+    const state = requestState(context);
+    if (state) {
+      state.responseFormat = parseResponseFormat(request.response_format);
+      state.toolNames = sanitized.toolNames;
+      state.toolSchemas = toolSchemas;
+    }
     const tools = [];
     const functionDeclarations = request.tools
       ?.filter((tool) => tool.function.name !== "web_search")
@@ -198,7 +686,14 @@ class GeminiCLITransformer {
         return {
           name: tool.function.name,
           description: tool.function.description,
-          parametersJsonSchema: tool.function.parameters,
+          // Normalized to Gemini's OpenAPI subset, so it goes in `parameters`
+          // (parametersJsonSchema takes full JSON Schema)
+          parameters: normalizeToolParameters(
+            tool.function.parameters,
+            "gemini",
+            tool.function.name,
+            "gemini-cli"
+          ),
         };
       });
     if (functionDeclarations?.length) {
@@ -216,75 +711,20 @@ class GeminiCLITransformer {
         googleSearch: {},
       });
     }
+    const converted = convertMessages(repairMessages(request.messages, "gemini-cli"), {
+      isGemini3,
+    });
+    const systemInstruction = converted.systemInstruction;
+    // Gemini rejects empty parts (e.g. unsupported content types) and empty turns
+    const contents = repairGeminiContents(converted.contents, "gemini-cli");
     return {
       body: {
         request: {
-          contents: request.messages.map((message) => {
-            let role;
-            if (message.role === "assistant") {
-              role = "model";
-            } else if (["user", "system", "tool"].includes(message.role)) {
-              role = "user";
-            } else {
-              role = "user"; // Default to user if role is not recognized
-            }
-            const parts = [];
-            if (typeof message.content === "string") {
-              parts.push({
-                text: message.content,
-              });
-            } else if (Array.isArray(message.content)) {
-              parts.push(
-                ...message.content.map((content) => {
-                  if (content.type === "text") {
-                    return {
-                      text: content.text || "",
-                    };
-                  }
-                  if (content.type === "image_url") {
-                    if (content.image_url.url.startsWith("http")) {
-                      return {
-                        file_data: {
-                          mime_type: content.media_type,
-                          file_uri: content.image_url.url,
-                        },
-                      };
-                    } else {
-                      return {
-                        inlineData: {
-                          mime_type: content.media_type,
-                          data:
-                            content.image_url.url?.split(",")?.pop() ||
-                            content.image_url.url,
-                        },
-                      };
-                    }
-                  }
-                })
-              );
-            }
-
-            if (Array.isArray(message.tool_calls)) {
-              parts.push(
-                ...message.tool_calls.map((toolCall) => {
-                  return {
-                    functionCall: {
-                      id:
-                        toolCall.id ||
-                        `tool_${Math.random().toString(36).substring(2, 15)}`,
-                      name: toolCall.function.name,
-                      args: JSON.parse(toolCall.function.arguments || "{}"),
-                    },
-                  };
-                })
-              );
-            }
-            return {
-              role,
-              parts,
-            };
-          }),
+          contents,
+          systemInstruction,
           tools: tools.length ? tools : undefined,
+          toolConfig: buildToolConfig(request.tool_choice, functionDeclarations),
+          generationConfig: buildGenerationConfig(request, capabilities),
         },
         model: request.model,
         project: this.options?.project,
@@ -302,22 +742,26 @@ class GeminiCLITransformer {
     };
   }
 
-  async transformResponseOut(response) {
+  async transformResponseOut(response, context) {
+    const state = requestState(context);
+    const toolCallOptions = { toolNames: state?.toolNames, toolSchemas: state?.toolSchemas };
+    const responseFormat = this.options?.validateResponseFormat ? state?.responseFormat : undefined;
+
     if (response.headers.get("Content-Type")?.includes("application/json")) {
       let jsonResponse = await response.json();
+      if (jsonResponse.error) {
+        return errorResponse(normalizeError(jsonResponse, { headers: response.headers }));
+      }
       jsonResponse = jsonResponse.response;
       const tool_calls = jsonResponse.candidates[0].content.parts
         ?.filter((part) => part.functionCall)
-        ?.map((part) => ({
-          id:
-            part.functionCall?.id ||
-            `tool_${Math.random().toString(36).substring(2, 15)}`,
-          type: "function",
-          function: {
-            name: part.functionCall?.name,
-            arguments: JSON.stringify(part.functionCall?.args || {}),
-          },
-        }));
+        ?.map((part) => partToToolCall(part, toolCallOptions));
+      const parts = jsonResponse.candidates[0].content.parts || [];
+      const reasoning = parts
+        .filter((part) => part.thought && part.text)
+        .map((part) => part.text)
+        .join("\n");
+      const signature = packThoughtSignatures(parts, tool_calls);
       const res = {
         id: jsonResponse.responseId,
         choices: [
@@ -326,10 +770,12 @@ class GeminiCLITransformer {
               jsonResponse.candidates[0].finishReason?.toLowerCase() || null,
             index: 0,
             message: {
-              content: jsonResponse.candidates[0].content.parts
-                .filter((part) => part.text)
+              content: parts
+                .filter((part) => part.text && !part.thought)
                 .map((part) => part.text)
                 .join("\n"),
+              // The router shows message.thinking as a thinking block
+              thinking: reasoning || signature ? { content: reasoning, signature } : undefined,
               role: "assistant",
               tool_calls: tool_calls.length > 0 ? tool_calls : undefined,
             },
@@ -338,140 +784,137 @@ class GeminiCLITransformer {
         created: parseInt(new Date().getTime() / 1000 + "", 10),
         model: jsonResponse.modelVersion,
         object: "chat.completion",
-        usage: {
-          completion_tokens: jsonResponse.usageMetadata.candidatesTokenCount,
-          prompt_tokens: jsonResponse.usageMetadata.promptTokenCount,
-          total_tokens: jsonResponse.usageMetadata.totalTokenCount,
-        },
+        usage: convertUsage(jsonResponse.usageMetadata),
       };
+      // A turn that calls the client's tools is not the final answer yet
+      const formatError = tool_calls.length
+        ? null
+        : checkStructuredOutput(res.choices[0].message.content, responseFormat);
+      if (formatError) {
+        this.logger?.warn({ error: formatError }, "gemini-cli response_format mismatch");
+        return errorResponse({ status: statusForType(formatError.type), error: formatError });
+      }
+      // Fresh headers: the upstream content-length / content-encoding describe the old body
       return new Response(JSON.stringify(res), {
         status: response.status,
         statusText: response.statusText,
-        headers: response.headers,
+        headers: new Headers({
+          "Content-Type": "application/json",
+        }),
       });
     } else if (response.headers.get("Content-Type")?.includes("stream")) {
       if (!response.body) {
         return response;
       }
 
-      const decoder = new TextDecoder();
-      const encoder = new TextEncoder();
-
-      const processLine = (line, controller) => {
-        if (line.startsWith("data: ")) {
-          const chunkStr = line.slice(6).trim();
-          if (chunkStr) {
-            this.logger.debug({ chunkStr }, "gemini-cli chunk:");
-            try {
-              let chunk = JSON.parse(chunkStr);
-              chunk = chunk.response;
-              const tool_calls = chunk.candidates[0].content.parts
-                ?.filter((part) => part.functionCall)
-                ?.map((part) => ({
-                  id:
-                    part.functionCall?.id ||
-                    `tool_${Math.random().toString(36).substring(2, 15)}`,
-                  type: "function",
-                  function: {
-                    name: part.functionCall?.name,
-                    arguments: JSON.stringify(part.functionCall?.args || {}),
-                  },
-                }));
-              const res = {
-                choices: [
-                  {
-                    delta: {
-                      role: "assistant",
-                      content: chunk.candidates[0].content.parts
-                        ?.filter((part) => part.text)
-                        ?.map((part) => part.text)
-                        ?.join("\n"),
-                      tool_calls:
-                        tool_calls.length > 0 ? tool_calls : undefined,
-                    },
-                    finish_reason:
-                      chunk.candidates[0].finishReason?.toLowerCase() || null,
-                    index:
-                      chunk.candidates[0].index || tool_calls.length > 0
-                        ? 1
-                        : 0,
-                    logprobs: null,
+      let contentText = "";
+      let sawToolCalls = false;
+      let failed = false;
+      const processEvent = ({ data: chunkStr }, emit) => {
+        if (chunkStr) {
+          this.logger.debug({ chunkStr }, "gemini-cli chunk:");
+          try {
+            let chunk = JSON.parse(chunkStr);
+            if (chunk.error) {
+              failed = true;
+              emit({ error: normalizeError(chunk).error });
+              return;
+            }
+            chunk = chunk.response;
+            const tool_calls = chunk.candidates[0].content.parts
+              ?.filter((part) => part.functionCall)
+              ?.map((part) => partToToolCall(part, toolCallOptions));
+            const reasoning = chunk.candidates[0].content.parts
+              ?.filter((part) => part.thought && part.text)
+              ?.map((part) => part.text)
+              ?.join("\n");
+            const res = {
+              choices: [
+                {
+                  delta: {
+                    role: "assistant",
+                    content: chunk.candidates[0].content.parts
+                      ?.filter((part) => part.text && !part.thought)
+                      ?.map((part) => part.text)
+                      ?.join("\n"),
+                    tool_calls:
+                      tool_calls.length > 0 ? tool_calls : undefined,
                   },
-                ],
-                created: parseInt(new Date().getTime() / 1000 + "", 10),
-                id: chunk.responseId || "",
-                model: chunk.modelVersion || "",
-                object: "chat.completion.chunk",
-                system_fingerprint: "fp_a49d71b8a1",
-                usage: {
-                  completion_tokens: chunk.usageMetadata.candidatesTokenCount,
-                  prompt_tokens: chunk.usageMetadata.promptTokenCount,
-                  total_tokens: chunk.usageMetadata.totalTokenCount,
+                  finish_reason:
+                    chunk.candidates[0].finishReason?.toLowerCase() || null,
+                  index:
+                    chunk.candidates[0].index || tool_calls.length > 0
+                      ? 1
+                      : 0,
+                  logprobs: null,
                 },
-              };
-              if (
-                chunk.candidates[0]?.groundingMetadata?.groundingChunks?.length
-              ) {
-                res.choices[0].delta.annotations =
-                  chunk.candidates[0].groundingMetadata.groundingChunks.map(
-                    (groundingChunk, index) => {
-                      const support =
-                        chunk.candidates[0]?.groundingMetadata?.groundingSupports?.filter(
-                          (item) => item.groundingChunkIndices.includes(index)
-                        );
-                      return {
-                        type: "url_citation",
-                        url_citation: {
-                          url: groundingChunk.web.uri,
-                          title: groundingChunk.web.title,
-                          content: support?.[0].segment.text,
-                          start_index: support?.[0].segment.startIndex,
-                          end_index: support?.[0].segment.endIndex,
-                        },
-                      };
-                    }
-                  );
-              }
-              controller.enqueue(
-                encoder.encode(`data: ${JSON.stringify(res)}\n\n`)
-              );
-            } catch (error) {
-              this.logger.error(
-                { chunkStr, error },
-                "Error parsing Gemini stream chunk"
-              );
+              ],
+              created: parseInt(new Date().getTime() / 1000 + "", 10),
+              id: chunk.responseId || "",
+              model: chunk.modelVersion || "",
+              object: "chat.completion.chunk",
+              system_fingerprint: "fp_a49d71b8a1",
+              usage: convertUsage(chunk.usageMetadata),
+            };
+            if (
+              chunk.candidates[0]?.groundingMetadata?.groundingChunks?.length
+            ) {
+              res.choices[0].delta.annotations =
+                chunk.candidates[0].groundingMetadata.groundingChunks.map(
+                  (groundingChunk, index) => {
+                    const support =
+                      chunk.candidates[0]?.groundingMetadata?.groundingSupports?.filter(
+                        (item) => item.groundingChunkIndices.includes(index)
+                      );
+                    return {
+                      type: "url_citation",
+                      url_citation: {
+                        url: groundingChunk.web.uri,
+                        title: groundingChunk.web.title,
+                        content: support?.[0].segment.text,
+                        start_index: support?.[0].segment.startIndex,
+                        end_index: support?.[0].segment.endIndex,
+                      },
+                    };
+                  }
+                );
+            }
+            if (responseFormat) {
+              contentText += res.choices[0].delta.content || "";
+              sawToolCalls ||= tool_calls.length > 0;
+            }
+            // Thoughts stream as delta.thinking; the signature closes the
+            // thinking block ahead of the calls it belongs to
+            const thinkingChunk = (thinking) => ({
+              ...res,
+              choices: [{ delta: { role: "assistant", thinking }, finish_reason: null, index: 0, logprobs: null }],
+              usage: undefined,
+            });
+            if (reasoning) {
+              emit(thinkingChunk({ content: reasoning }));
+            }
+            const signature = packThoughtSignatures(chunk.candidates[0].content.parts || [], tool_calls);
+            if (signature) {
+              emit(thinkingChunk({ signature }));
             }
+            emit(res);
+          } catch (error) {
+            this.logger.error(
+              { chunkStr, error },
+              "Error parsing Gemini stream chunk"
+            );
           }
         }
       };
 
-      const stream = new ReadableStream({
-        async start(controller) {
-          const reader = response.body.getReader();
-          let buffer = "";
-          try {
-            while (true) {
-              const { done, value } = await reader.read();
-              if (done) {
-                if (buffer) {
-                  processLine(buffer, controller);
-                }
-                break;
-              }
-
-              buffer += decoder.decode(value, { stream: true });
-              const lines = buffer.split("\n");
-
-              buffer = lines.pop() || "";
-
-              for (const line of lines) {
-                processLine(line, controller);
-              }
-            }
-          } catch (error) {
-            controller.error(error);
-          } finally {
-            controller.close();
+      const stream = transformSSE(response.body, {
+        onEvent: processEvent,
+        onEnd: (emit) => {
+          // Tool calls are not the final answer, and a failed stream has reported its error
+          const formatError = sawToolCalls || failed ? null : checkStructuredOutput(contentText, responseFormat);
+          if (formatError) {
+            this.logger?.warn({ error: formatError }, "gemini-cli response_format mismatch");
+            emit({ error: formatError });
           }
         },
       });
@@ -479,7 +922,11 @@ class GeminiCLITransformer {
       return new Response(stream, {
         status: response.status,
         statusText: response.statusText,
-        headers: response.headers,
+        headers: new Headers({
+          "Content-Type": "text/event-stream",
+          "Cache-Control": "no-cache",
+          Connection: "keep-alive",
+        }),
       });
     }
     return response;
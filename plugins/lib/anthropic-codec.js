@@ -0,0 +1,1114 @@
+/**
+ * Anthropic Messages Codec
+ *
+ * Shared conversion between the router's OpenAI Chat Completions format and
+ * the Anthropic Messages API, used by every Anthropic-compatible transformer
+ * (claude-anthropic, kimi-anthropic, ...). Covers:
+ * - Request encoding (messages, tools, thinking, prompt-caching breakpoints), with
+ *   tool names sanitized and what the response side needs kept on the request state
+ * - JSON response decoding
+ * - Incremental SSE decoding into chat.completion.chunk (tool arguments are
+ *   buffered per call and checked against the tool schema before they are emitted)
+ * - Upstream error bodies (sent with a 200 status, or in-stream) translated to OpenAI
+ *   error payloads; non-2xx responses are rejected by the router first
+ * - response_format emulated with a structured_output tool whose input becomes the
+ *   message content (forced only when the request has no other tools)
+ *
+ * Transport (URL, headers, auth) stays in each transformer; provider quirks
+ * are declared through the codec options instead of copied code.
+ */
+
+const { transformSSE } = require("./sse");
+const { normalizeError, statusForType, errorResponse } = require("./errors");
+const { ThinkingPolicy } = require("./thinking-policy");
+const { THINKING_BLOCKS_PREFIX, encodeSignature, decodeSignature, isPackedSignature } = require("./thinking-signature");
+const { getCapabilities, applyCapabilities } = require("./capabilities");
+const { parseToolChoice } = require("./tool-choice");
+const { parseResponseFormat, checkStructuredOutput } = require("./structured-output");
+const { normalizeSchema, normalizeToolParameters } = require("./schema-normalizer");
+const { repairMessages, repairAnthropicMessages } = require("./conversation-repair");
+const { parseToolArguments, checkToolArguments, collectToolSchemas } = require("./tool-arguments");
+const { sanitizeToolNames } = require("./tool-names");
+const { requestState } = require("./request-state");
+const { PDF_MEDIA_TYPE, parseDocument, documentToText } = require("./documents");
+
+/**
+ * Convert OpenAI role to Anthropic role
+ * @param {string} role - OpenAI role (system, user, assistant, tool)
+ * @returns {string} Anthropic role
+ */
+function convertRole(role) {
+  if (role === "system") return "user"; // System handled separately
+  if (role === "tool") return "user";
+  if (role === "function") return "user";
+  return role;
+}
+
+/**
+ * Rebuild Anthropic thinking blocks from an assistant message.
+ *
+ * The router hands an echoed thinking block back as `message.thinking`. A
+ * plain signature is the one Anthropic issued; blocks that do not fit in one
+ * (redacted thinking) come back packed by thinkingSignature. Unsigned
+ * reasoning is dropped because Anthropic rejects it, and so is reasoning
+ * signed by another provider (see ./thinking-signature.js).
+ * @param {Object} msg - OpenAI format assistant message
+ * @returns {Array} Anthropic thinking/redacted_thinking blocks
+ */
+function buildThinkingBlocks(msg) {
+  const signature = msg.thinking?.signature;
+  const packed = decodeSignature(THINKING_BLOCKS_PREFIX, signature);
+  if (Array.isArray(packed)) {
+    return packed
+      .map((block) => {
+        if (block?.type === "redacted_thinking" && block.data) {
+          return { type: "redacted_thinking", data: block.data };
+        }
+        if (block?.type === "thinking" && block.signature) {
+          return { type: "thinking", thinking: block.thinking || "", signature: block.signature };
+        }
+        return null;
+      })
+      .filter(Boolean);
+  }
+
+  if (typeof signature === "string" && signature && !isPackedSignature(signature)) {
+    return [{ type: "thinking", thinking: msg.thinking.content || "", signature }];
+  }
+  return [];
+}
+
+/**
+ * Signature that carries Anthropic thinking blocks through the router.
+ * A single signed thinking block keeps its own signature; anything else
+ * (redacted thinking, several blocks) is packed.
+ * @param {Array} blocks - Anthropic thinking/redacted_thinking blocks
+ * @returns {string} Signature for `thinking.signature`
+ */
+function thinkingSignature(blocks) {
+  if (blocks.length === 1 && blocks[0].type === "thinking") return blocks[0].signature;
+  return encodeSignature(THINKING_BLOCKS_PREFIX, blocks);
+}
+
+/**
+ * Convert an OpenAI content block to an Anthropic content block
+ * @param {Object} block - OpenAI content block
+ * @returns {Object} Anthropic content block
+ */
+function convertContentBlock(block) {
+  const converted = convertContentBlockBody(block);
+  if (block.cache_control && converted !== block) {
+    converted.cache_control = block.cache_control;
+  }
+  return converted;
+}
+
+function convertContentBlockBody(block) {
+  if (block.type === "text") {
+    return { type: "text", text: block.text };
+  }
+  if (block.type === "image_url") {
+    const url = block.image_url?.url || block.image_url;
+    if (typeof url === "string" && url.startsWith("data:")) {
+      const [meta, data] = url.split(",");
+      const mimeMatch = meta.match(/data:([^;]+)/);
+      return {
+        type: "image",
+        source: {
+          type: "base64",
+          media_type: mimeMatch ? mimeMatch[1] : "image/png",
+          data,
+        },
+      };
+    }
+    return {
+      type: "image",
+      source: {
+        type: "url",
+        url,
+      },
+    };
+  }
+  if (block.type === "file" || block.type === "input_file") {
+    return convertDocument(parseDocument(block));
+  }
+  // Thinking, document and other Anthropic-native blocks pass through
+  return block;
+}
+
+/**
+ * Convert a file attachment to a document block. Anthropic reads PDFs and
+ * plain text; other files are inlined as text.
+ * @param {Object} document - Result of parseDocument
+ * @returns {Object} Anthropic document (or text) block
+ */
+function convertDocument(document) {
+  let source;
+  if (document.kind === "pdf") {
+    source = { type: "base64", media_type: PDF_MEDIA_TYPE, data: document.data };
+  } else if (document.kind === "text") {
+    source = { type: "text", media_type: "text/plain", data: document.text };
+  } else if (document.kind === "url" && document.mediaType === PDF_MEDIA_TYPE) {
+    source = { type: "url", url: document.url };
+  } else {
+    return documentToText(document);
+  }
+  return document.title ? { type: "document", source, title: document.title } : { type: "document", source };
+}
+
+// Block types Anthropic accepts inside a tool_result
+const TOOL_RESULT_BLOCK_TYPES = new Set(["text", "image", "document", "search_result"]);
+
+/**
+ * Convert tool message content to tool_result content. Content arrays stay
+ * blocks (so screenshots reach the model as images); other parts become JSON text.
+ * @param {string|Array|Object} content - OpenAI tool message content
+ * @returns {string|Array} Anthropic tool_result content
+ */
+function convertToolResultContent(content) {
+  if (typeof content === "string") return content;
+  if (!Array.isArray(content)) return JSON.stringify(content ?? "");
+  return content.map((part) => {
+    if (typeof part === "string") return { type: "text", text: part };
+    if (!part || typeof part !== "object") return { type: "text", text: JSON.stringify(part ?? null) };
+    const { cache_control, ...block } = convertContentBlockBody(part);
+    return TOOL_RESULT_BLOCK_TYPES.has(block.type) ? block : { type: "text", text: JSON.stringify(part) };
+  });
+}
+
+/**
+ * Turn message content into Anthropic blocks so a cache breakpoint can be attached
+ * @param {string|Array} content - Anthropic message content
+ * @returns {Array} Content blocks
+ */
+function toContentBlocks(content) {
+  if (Array.isArray(content)) return content;
+  return typeof content === "string" && content ? [{ type: "text", text: content }] : [];
+}
+
+/**
+ * Convert OpenAI messages to Anthropic format.
+ *
+ * `cache_control` markers on content blocks (or on a whole message) are kept.
+ * The system prompt stays a plain string unless one of its blocks carries a
+ * marker, in which case it becomes an array of text blocks. Consecutive tool
+ * results are grouped into one user message.
+ * @param {Array} messages - OpenAI format messages
+ * @param {string} [name] - Log prefix
+ * @returns {{system: string|Array|null, messages: Array}} Anthropic format
+ */
+function convertMessages(messages, name = "anthropic") {
+  const systemBlocks = [];
+  const anthropicMessages = [];
+  let toolResultTurn = null;
+
+  for (const msg of messages) {
+    // Extract system message
+    if (msg.role === "system") {
+      if (typeof msg.content === "string") {
+        systemBlocks.push({ type: "text", text: msg.content, cache_control: msg.cache_control });
+      } else if (Array.isArray(msg.content)) {
+        const textBlocks = msg.content.filter((c) => c.type === "text");
+        textBlocks.forEach((c, i) => {
+          const isLast = i === textBlocks.length - 1;
+          systemBlocks.push({
+            type: "text",
+            text: c.text,
+            cache_control: c.cache_control || (isLast ? msg.cache_control : undefined),
+          });
+        });
+      }
+      continue;
+    }
+
+    // Convert tool/function results
+    if (msg.role === "tool" || msg.role === "function") {
+      const toolResult = {
+        type: "tool_result",
+        tool_use_id: msg.tool_call_id || msg.name,
+        content: convertToolResultContent(msg.content),
+      };
+      const cacheControl = msg.cache_control ||
+        (Array.isArray(msg.content) ? msg.content[msg.content.length - 1]?.cache_control : undefined);
+      if (cacheControl) toolResult.cache_control = cacheControl;
+      if (toolResultTurn) {
+        toolResultTurn.content.push(toolResult);
+      } else {
+        toolResultTurn = { role: "user", content: [toolResult] };
+        anthropicMessages.push(toolResultTurn);
+      }
+      continue;
+    }
+    toolResultTurn = null;
+
+    // Convert assistant messages with tool_calls
+    if (msg.role === "assistant" && msg.tool_calls) {
+      // Signed thinking blocks must lead the assistant turn
+      const content = buildThinkingBlocks(msg);
+
+      // Add text content if present
+      if (typeof msg.content === "string" && msg.content) {
+        content.push({
+          type: "text",
+          text: msg.content,
+        });
+      } else if (Array.isArray(msg.content)) {
+        content.push(...msg.content.map(convertContentBlock));
+      }
+
+      // Add tool_use blocks
+      for (const toolCall of msg.tool_calls) {
+        const toolName = toolCall.function?.name || toolCall.name;
+        content.push({
+          type: "tool_use",
+          id: toolCall.id,
+          name: toolName,
+          // Truncated arguments (max_tokens mid-call) must not break the rest of the session
+          input: parseToolArguments(toolCall.function?.arguments, toolName, name),
+        });
+      }
+
+      if (msg.cache_control && content.length > 0) {
+        content[content.length - 1].cache_control = msg.cache_control;
+      }
+
+      anthropicMessages.push({
+        role: "assistant",
+        content,
+      });
+      continue;
+    }
+
+    // Convert regular messages
+    let content;
+    if (typeof msg.content === "string") {
+      content = msg.content;
+    } else if (Array.isArray(msg.content)) {
+      content = msg.content.map(convertContentBlock);
+    } else {
+      content = msg.content;
+    }
+
+    if (msg.role === "assistant") {
+      const thinkingBlocks = buildThinkingBlocks(msg);
+      if (thinkingBlocks.length > 0) {
+        const blocks = typeof content === "string"
+          ? (content ? [{ type: "text", text: content }] : [])
+          : content || [];
+        content = [...thinkingBlocks, ...blocks];
+      }
+    }
+
+    // A message-level marker applies to the message's last block
+    if (msg.cache_control) {
+      content = toContentBlocks(content);
+      if (content.length > 0) {
+        content[content.length - 1] = { ...content[content.length - 1], cache_control: msg.cache_control };
+      }
+    }
+
+    anthropicMessages.push({
+      role: convertRole(msg.role),
+      content,
+    });
+  }
+
+  let system = null;
+  if (systemBlocks.some((block) => block.cache_control)) {
+    system = systemBlocks.map(({ type, text, cache_control }) =>
+      cache_control ? { type, text, cache_control } : { type, text }
+    );
+  } else if (systemBlocks.length > 0) {
+    system = systemBlocks.map((block) => block.text).join("\n\n");
+  }
+
+  return { system, messages: anthropicMessages };
+}
+
+/**
+ * Convert OpenAI tools to Anthropic format
+ * @param {Array} tools - OpenAI format tools
+ * @param {string} [logPrefix] - Prefix for schema normalization logs
+ * @returns {Array} Anthropic format tools
+ */
+function convertTools(tools, logPrefix = "anthropic") {
+  if (!tools || tools.length === 0) return undefined;
+
+  return tools.map((tool) => {
+    const fn = tool.function || tool;
+    const converted = {
+      name: fn.name,
+      description: fn.description || "",
+      input_schema: normalizeToolParameters(fn.parameters, "anthropic", fn.name, logPrefix),
+    };
+    const cacheControl = tool.cache_control || fn.cache_control;
+    if (cacheControl) converted.cache_control = cacheControl;
+    return converted;
+  });
+}
+
+/**
+ * Convert OpenAI tool_choice / parallel_tool_calls to Anthropic tool_choice
+ * @param {string|Object} toolChoice - OpenAI tool_choice
+ * @param {boolean} [parallelToolCalls] - OpenAI parallel_tool_calls
+ * @returns {Object|undefined} Anthropic tool_choice
+ */
+function convertToolChoice(toolChoice, parallelToolCalls) {
+  const parsed = parseToolChoice(toolChoice);
+  let converted;
+  if (!parsed) {
+    converted = parallelToolCalls === false ? { type: "auto" } : undefined;
+  } else if (parsed.mode === "none") {
+    return { type: "none" };
+  } else if (parsed.mode === "required") {
+    converted = { type: "any" };
+  } else if (parsed.mode === "function") {
+    converted = { type: "tool", name: parsed.name };
+  } else {
+    converted = { type: "auto" };
+  }
+
+  if (converted && parallelToolCalls === false) {
+    converted.disable_parallel_tool_use = true;
+  }
+  return converted;
+}
+
+// Tool that emulates response_format; its input is returned as the message content
+const STRUCTURED_OUTPUT_TOOL = "structured_output";
+
+/**
+ * Whether a response_format schema has to be wrapped in { value } to be a tool input
+ * @param {Object} format - Parsed response_format
+ * @returns {boolean}
+ */
+function isWrappedSchema(format) {
+  return Boolean(format.schema) && format.schema.type !== "object";
+}
+
+/**
+ * Build the forced tool for a response_format
+ * @param {Object} format - Parsed response_format
+ * @returns {Object} Anthropic tool
+ */
+function buildStructuredOutputTool(format) {
+  const schema = format.schema || { type: "object" };
+  const inputSchema = isWrappedSchema(format)
+    ? { type: "object", properties: { value: schema }, required: ["value"] }
+    : schema;
+  return {
+    name: STRUCTURED_OUTPUT_TOOL,
+    description: "Return the final answer. Call this once no other tool is needed; the input must be the complete response.",
+    input_schema: normalizeSchema(inputSchema, "anthropic").schema,
+  };
+}
+
+/**
+ * Message content for a structured_output tool input
+ * @param {Object} input - Tool input
+ * @param {Object} format - Parsed response_format
+ * @returns {string} JSON text
+ */
+function structuredOutputText(input, format) {
+  return JSON.stringify(isWrappedSchema(format) ? input?.value : input || {});
+}
+
+// Anthropic rejects requests with more than this many cache_control markers
+const MAX_CACHE_BREAKPOINTS = 4;
+
+/**
+ * Whether an encoded request already carries any cache_control marker
+ * @param {Object} body - Anthropic request body
+ * @returns {boolean}
+ */
+function hasCacheBreakpoints(body) {
+  const blocks = [
+    ...(body.tools || []),
+    ...(Array.isArray(body.system) ? body.system : []),
+    ...body.messages.flatMap((message) => (Array.isArray(message.content) ? message.content : [])),
+  ];
+  return blocks.some((block) => block.cache_control);
+}
+
+/**
+ * Mark the stable prefix of a request for prompt caching: the tool
+ * definitions, the system prompt and the conversation up to the last message.
+ * Requests that already carry markers are left alone.
+ * @param {Object} body - Anthropic request body, modified in place
+ */
+function applyAutoCacheBreakpoints(body) {
+  if (hasCacheBreakpoints(body)) return;
+  const ephemeral = { type: "ephemeral" };
+
+  if (body.tools?.length) {
+    body.tools[body.tools.length - 1].cache_control = ephemeral;
+  }
+
+  if (typeof body.system === "string" && body.system) {
+    body.system = [{ type: "text", text: body.system, cache_control: ephemeral }];
+  } else if (Array.isArray(body.system) && body.system.length > 0) {
+    body.system[body.system.length - 1].cache_control = ephemeral;
+  }
+
+  // Thinking blocks cannot carry a breakpoint, so use the last other block
+  const lastMessage = body.messages[body.messages.length - 1];
+  if (lastMessage) {
+    lastMessage.content = toContentBlocks(lastMessage.content);
+    for (let i = lastMessage.content.length - 1; i >= 0; i--) {
+      const block = lastMessage.content[i];
+      if (block.type !== "thinking" && block.type !== "redacted_thinking") {
+        lastMessage.content[i] = { ...block, cache_control: ephemeral };
+        break;
+      }
+    }
+  }
+}
+
+/**
+ * Drop cache_control markers beyond the Anthropic limit, keeping the last ones
+ * (they cover the longest prefix). Blocks can still be the client's own objects,
+ * so unmarked copies replace them instead of deleting the field in place.
+ * @param {Object} body - Anthropic request body; its tools, system and messages are replaced
+ * @returns {number} Number of markers removed
+ */
+function limitCacheBreakpoints(body) {
+  const countMarked = (blocks) => (Array.isArray(blocks) ? blocks.filter((block) => block.cache_control).length : 0);
+  const marked =
+    countMarked(body.tools) +
+    countMarked(body.system) +
+    body.messages.reduce((count, message) => count + countMarked(message.content), 0);
+  let excess = marked - MAX_CACHE_BREAKPOINTS;
+  if (excess <= 0) return 0;
+
+  const unmark = (blocks) =>
+    blocks.map((block) => {
+      if (excess <= 0 || !block.cache_control) return block;
+      excess--;
+      const { cache_control, ...rest } = block;
+      return rest;
+    });
+  if (Array.isArray(body.tools)) body.tools = unmark(body.tools);
+  if (Array.isArray(body.system)) body.system = unmark(body.system);
+  body.messages = body.messages.map((message) =>
+    excess > 0 && Array.isArray(message.content) ? { ...message, content: unmark(message.content) } : message
+  );
+  return marked - MAX_CACHE_BREAKPOINTS;
+}
+
+/**
+ * Convert Anthropic usage to OpenAI usage.
+ *
+ * Anthropic's input_tokens excludes cached tokens while OpenAI's prompt_tokens
+ * includes them, so cache reads and writes are added back and reported in
+ * prompt_tokens_details.
+ * @param {Object} usage - Anthropic usage
+ * @returns {Object} OpenAI usage
+ */
+function convertUsage(usage = {}) {
+  const cacheRead = usage.cache_read_input_tokens || 0;
+  const cacheCreation = usage.cache_creation_input_tokens || 0;
+  const promptTokens = (usage.input_tokens || 0) + cacheRead + cacheCreation;
+  const completionTokens = usage.output_tokens || 0;
+  return {
+    prompt_tokens: promptTokens,
+    completion_tokens: completionTokens,
+    total_tokens: promptTokens + completionTokens,
+    prompt_tokens_details: {
+      cached_tokens: cacheRead,
+      cache_creation_tokens: cacheCreation,
+    },
+  };
+}
+
+/**
+ * Build an OpenAI chat.completion.chunk with a single choice
+ * @param {Object} state - Current stream state
+ * @param {Object} delta - Choice delta
+ * @param {string|null} finishReason - OpenAI finish reason
+ * @returns {Object} OpenAI chunk
+ */
+function buildChunk(state, delta, finishReason = null) {
+  return {
+    id: state.messageId,
+    object: "chat.completion.chunk",
+    created: Math.floor(Date.now() / 1000),
+    model: state.model,
+    choices: [
+      {
+        index: 0,
+        delta,
+        finish_reason: finishReason,
+      },
+    ],
+  };
+}
+
+class AnthropicCodec {
+  /**
+   * @param {Object} options - Provider quirks
+   * @param {string} [options.name] - Log prefix for this provider
+   * @param {string} [options.defaultModel] - Model used when neither the request nor provider names one
+   * @param {number} [options.defaultMaxTokens] - max_tokens used when the request omits it
+   * @param {string[]} [options.thinkingModelPatterns] - Model name substrings that enable thinking by default
+   * @param {number} [options.defaultThinkingBudget] - Default thinking budget_tokens
+   * @param {Object} [options.thinking] - Per-model thinking settings, see ./thinking-policy.js
+   * @param {Object} [options.capabilities] - Capability registry, see ./capabilities.js
+   * @param {boolean} [options.validateResponseFormat] - Check final JSON against response_format
+   * @param {boolean} [options.autoCacheBreakpoints] - Mark tools, system and conversation
+   *   prefix for prompt caching when the request has no cache_control markers
+   * @param {boolean} [options.debug] - Log unparseable stream events
+   */
+  constructor(options = {}) {
+    this.name = options.name || "anthropic";
+    this.defaultModel = options.defaultModel || "claude-sonnet-4-20250514";
+    this.defaultMaxTokens = options.defaultMaxTokens || 4096;
+    this.capabilities = options.capabilities;
+    this.validateResponseFormat = options.validateResponseFormat || false;
+    this.thinkingPolicy = new ThinkingPolicy({ ...options, name: this.name });
+    this.autoCacheBreakpoints = options.autoCacheBreakpoints || false;
+    this.debug = options.debug || false;
+  }
+
+  /**
+   * Encode an OpenAI format request as an Anthropic Messages request body.
+   * Tool names are sanitized here; the response_format, tool name map and
+   * tool schemas go on the request state for transformResponse.
+   * @param {Object} request - OpenAI format request
+   * @param {Object} [provider] - Provider configuration
+   * @param {Object} [context] - Router hook context ({ req }), see ./request-state.js
+   * @returns {Object} Anthropic request body
+   */
+  encodeRequest(request, provider, context) {
+    const state = requestState(context);
+    if (state) {
+      state.responseFormat = parseResponseFormat(request.response_format);
+      state.toolSchemas = collectToolSchemas(request.tools);
+    }
+    const sanitized = sanitizeToolNames(request, "anthropic", this.name);
+    request = sanitized.request;
+    if (state) state.toolNames = sanitized.toolNames;
+
+    const model = request.model || provider?.models?.[0] || this.defaultModel;
+    const capabilities = getCapabilities(this.capabilities, model);
+    request = applyCapabilities({ ...request, model }, capabilities, this.name);
+
+    const converted = convertMessages(repairMessages(request.messages || [], this.name), this.name);
+    const system = converted.system;
+    const messages = repairAnthropicMessages(converted.messages, this.name);
+    const tools = convertTools(request.tools, this.name);
+
+    // Build Anthropic request body
+    const body = {
+      model,
+      messages,
+      max_tokens: Math.min(
+        request.max_tokens || this.defaultMaxTokens,
+        capabilities.max_output_tokens || Infinity
+      ),
+      stream: request.stream || false,
+    };
+
+    // Add optional fields
+    if (system) body.system = system;
+    if (tools) {
+      body.tools = tools;
+      const toolChoice = convertToolChoice(request.tool_choice, request.parallel_tool_calls);
+      if (toolChoice) body.tool_choice = toolChoice;
+    }
+
+    // Anthropic has no response_format: add a tool whose input is the answer. It is
+    // only forced when the request has no other tools and no tool_choice of its own;
+    // otherwise the client's choice stands so real tool calls and thinking still work.
+    const responseFormat = parseResponseFormat(request.response_format);
+    if (responseFormat) {
+      body.tools = [...(body.tools || []), buildStructuredOutputTool(responseFormat)];
+      if (!tools) {
+        const clientChoice = parseToolChoice(request.tool_choice);
+        body.tool_choice = !clientChoice || clientChoice.mode === "required" || clientChoice.mode === "function"
+          ? { type: "tool", name: STRUCTURED_OUTPUT_TOOL }
+          : { type: clientChoice.mode };
+      }
+    }
+    if (request.temperature !== undefined) body.temperature = request.temperature;
+    if (request.top_p !== undefined) body.top_p = request.top_p;
+    if (request.top_k !== undefined) body.top_k = request.top_k;
+    if (request.stop) body.stop_sequences = Array.isArray(request.stop) ? request.stop : [request.stop];
+
+    this.thinkingPolicy.apply(body, request, capabilities);
+
+    if (this.autoCacheBreakpoints) {
+      applyAutoCacheBreakpoints(body);
+    }
+    const dropped = limitCacheBreakpoints(body);
+    if (dropped > 0) {
+      console.warn(`[${this.name}] Dropped ${dropped} cache_control marker(s) over the limit of ${MAX_CACHE_BREAKPOINTS}`);
+    }
+
+    return body;
+  }
+
+  /**
+   * Extra request headers an encoded body needs (e.g. anthropic-beta flags)
+   * @param {Object} body - Anthropic request body from encodeRequest
+   * @returns {Object} Headers to merge into the upstream request
+   */
+  requestHeaders(body) {
+    const betas = this.thinkingPolicy.betas(body);
+    return betas.length > 0 ? { "anthropic-beta": betas.join(",") } : {};
+  }
+
+  /**
+   * Transform an upstream Anthropic response into an OpenAI format response
+   * @param {Response} response - Fetch Response object
+   * @param {Object} [context] - Router hook context ({ req }) of the request encodeRequest saw
+   * @returns {Response} Transformed response
+   */
+  async transformResponse(response, context) {
+    const { responseFormat, toolNames, toolSchemas } = requestState(context) || {};
+    const contentType = response.headers.get("Content-Type") || "";
+
+    // Handle JSON (non-streaming) response
+    if (contentType.includes("application/json")) {
+      const data = await response.json();
+      // Some proxies report errors with a 200 status
+      if (data?.type === "error") {
+        return errorResponse(normalizeError(data, { headers: response.headers }));
+      }
+      const completion = this.decodeResponse(data, responseFormat, toolNames, toolSchemas);
+      // A turn that calls the client's tools is not the final answer yet
+      if (this.validateResponseFormat && responseFormat && !completion.choices[0].message.tool_calls) {
+        const error = checkStructuredOutput(completion.choices[0].message.content, responseFormat);
+        if (error) {
+          console.warn(`[${this.name}] ${error.message}`);
+          return errorResponse({ status: statusForType(error.type), error });
+        }
+      }
+      return new Response(JSON.stringify(completion), {
+        status: response.status,
+        statusText: response.statusText,
+        headers: new Headers({
+          "Content-Type": "application/json",
+        }),
+      });
+    }
+
+    // Handle SSE streaming response
+    if (contentType.includes("text/event-stream")) {
+      return this.transformStreamResponse(response, responseFormat, toolNames, toolSchemas);
+    }
+
+    // Pass through unknown content types
+    return response;
+  }
+
+  /**
+   * Decode a non-streaming Anthropic message into a chat.completion
+   * @param {Object} data - Anthropic message
+   * @param {Object} [responseFormat] - Parsed response_format of the request
+   * @param {Object} [toolNames] - ToolNameMap used to restore sanitized tool names
+   * @param {Map} [toolSchemas] - Tool parameter schemas, by original tool name
+   * @returns {Object} OpenAI format response
+   */
+  decodeResponse(data, responseFormat, toolNames, toolSchemas) {
+    const message = {
+      role: "assistant",
+      content: "",
+      tool_calls: undefined,
+    };
+
+    const textParts = [];
+    const toolCalls = [];
+    const thinkingBlocks = [];
+
+    for (const block of data.content || []) {
+      if (block.type === "text") {
+        textParts.push(block.text);
+      } else if (block.type === "thinking") {
+        thinkingBlocks.push({
+          type: "thinking",
+          thinking: block.thinking,
+          signature: block.signature,
+        });
+      } else if (block.type === "redacted_thinking") {
+        thinkingBlocks.push({ type: "redacted_thinking", data: block.data });
+      } else if (block.type === "tool_use" && responseFormat && block.name === STRUCTURED_OUTPUT_TOOL) {
+        textParts.push(structuredOutputText(block.input, responseFormat));
+      } else if (block.type === "tool_use") {
+        const name = toolNames ? toolNames.decode(block.name) : block.name;
+        const input = checkToolArguments(block.input, toolSchemas?.get(name), name, this.name);
+        toolCalls.push({
+          id: block.id,
+          type: "function",
+          function: {
+            name,
+            arguments: JSON.stringify(input),
+          },
+        });
+      }
+    }
+
+    message.content = textParts.join("");
+    if (toolCalls.length > 0) {
+      message.tool_calls = toolCalls;
+    }
+    // Keep signed thinking so the next turn can send it back verbatim
+    if (thinkingBlocks.length > 0) {
+      message.thinking = {
+        content: thinkingBlocks.map((block) => block.thinking || "").join(""),
+        signature: thinkingSignature(thinkingBlocks),
+      };
+    }
+
+    return {
+      id: data.id || `chatcmpl-${Date.now()}`,
+      object: "chat.completion",
+      created: Math.floor(Date.now() / 1000),
+      model: data.model,
+      choices: [
+        {
+          index: 0,
+          message,
+          // The emulated structured_output call is a final answer, not a tool call
+          finish_reason: responseFormat && data.stop_reason === "tool_use" && toolCalls.length === 0
+            ? "stop"
+            : this.mapStopReason(data.stop_reason),
+        },
+      ],
+      usage: convertUsage(data.usage),
+    };
+  }
+
+  /**
+   * Create the mutable state used by processSSEEvent for one stream
+   * @param {Object} [responseFormat] - Parsed response_format of the request
+   * @param {Object} [toolNames] - ToolNameMap used to restore sanitized tool names
+   * @param {Map} [toolSchemas] - Tool parameter schemas, by original tool name
+   * @returns {Object} Stream state
+   */
+  createStreamState(responseFormat, toolNames, toolSchemas) {
+    return {
+      responseFormat,
+      toolNames,
+      toolSchemas,
+      structuredBlock: null, // structured_output tool input being buffered
+      contentText: "", // Streamed content, kept for response_format validation
+      messageId: "",
+      model: "",
+      currentBlockIndex: 0,
+      currentBlockType: null,
+      toolCallsBuffer: [], // Buffer for tool calls
+      toolCallIndexByBlock: {}, // Anthropic content block index -> OpenAI tool_calls index
+      openToolCalls: new Set(), // tool_calls indices whose arguments are still being buffered
+      thinkingBlock: null, // Thinking block being assembled (text + signature)
+      failed: false, // An in-stream error was emitted
+      inputTokens: 0,
+      outputTokens: 0,
+      cacheReadTokens: 0,
+      cacheCreationTokens: 0,
+      hasEmittedRole: false,
+    };
+  }
+
+  /**
+   * Transform streaming SSE response
+   * @param {Response} response - Original SSE response
+   * @param {Object} [responseFormat] - Parsed response_format of the request
+   * @param {Object} [toolNames] - ToolNameMap used to restore sanitized tool names
+   * @param {Map} [toolSchemas] - Tool parameter schemas, by original tool name
+   * @returns {Response} Transformed SSE response
+   */
+  transformStreamResponse(response, responseFormat, toolNames, toolSchemas) {
+    if (!response.body) {
+      return response;
+    }
+
+    const state = this.createStreamState(responseFormat, toolNames, toolSchemas);
+
+    const stream = transformSSE(response.body, {
+      onEvent: ({ event: eventName, data }, emit) => {
+        if (!data || data === "[DONE]") return;
+
+        let event;
+        try {
+          event = JSON.parse(data);
+        } catch (parseError) {
+          // Skip invalid JSON
+          if (this.debug) {
+            console.error(`[${this.name}] Parse error:`, parseError.message, data);
+          }
+          return;
+        }
+        // Some proxies only name the event in the `event:` field
+        if (!event.type) event.type = eventName;
+
+        for (const chunk of this.processSSEEvent(event, state)) {
+          emit(chunk);
+        }
+      },
+      onEnd: (emit) => {
+        // A stream cut off mid-call still hands back (repaired) arguments
+        for (const chunk of this.finishToolCalls(state, [...(state.openToolCalls || [])])) {
+          emit(chunk);
+        }
+        // Tool calls are not the final answer, and a failed stream has reported its error
+        if (this.validateResponseFormat && responseFormat && state.toolCallsBuffer.length === 0 && !state.failed) {
+          const error = checkStructuredOutput(state.contentText, responseFormat);
+          if (error) {
+            console.warn(`[${this.name}] ${error.message}`);
+            emit({ error });
+          }
+        }
+        // Emit final [DONE] message
+        emit("[DONE]");
+      },
+    });
+
+    return new Response(stream, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: new Headers({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      }),
+    });
+  }
+
+  /**
+   * Check buffered tool-call arguments against the tool's schema and emit them
+   * @param {Object} state - Stream state from createStreamState
+   * @param {number[]} toolIndices - tool_calls indices to finish
+   * @returns {Array} OpenAI chunks carrying the (repaired) arguments
+   */
+  finishToolCalls(state, toolIndices) {
+    const chunks = [];
+    for (const toolIndex of toolIndices) {
+      if (!state.openToolCalls?.delete(toolIndex)) continue;
+      const toolCall = state.toolCallsBuffer[toolIndex];
+      const name = toolCall.function.name;
+      const input = checkToolArguments(toolCall.function.arguments, state.toolSchemas?.get(name), name, this.name);
+      toolCall.function.arguments = JSON.stringify(input);
+      chunks.push(
+        buildChunk(state, {
+          tool_calls: [{ index: toolIndex, function: { arguments: toolCall.function.arguments } }],
+        })
+      );
+    }
+    return chunks;
+  }
+
+  /**
+   * Process a single SSE event and return OpenAI format chunks.
+   * The state object is updated in place.
+   * @param {Object} event - Anthropic SSE event
+   * @param {Object} state - Stream state from createStreamState
+   * @returns {Array} Array of OpenAI chunks
+   */
+  processSSEEvent(event, state) {
+    const chunks = [];
+
+    switch (event.type) {
+      case "message_start": {
+        const message = event.message || {};
+        state.messageId = message.id || `chatcmpl-${Date.now()}`;
+        state.model = message.model || "";
+        state.inputTokens = message.usage?.input_tokens || 0;
+        state.cacheReadTokens = message.usage?.cache_read_input_tokens || 0;
+        state.cacheCreationTokens = message.usage?.cache_creation_input_tokens || 0;
+
+        // Emit initial chunk with role
+        chunks.push(buildChunk(state, { role: "assistant", content: "" }));
+        state.hasEmittedRole = true;
+        break;
+      }
+
+      case "content_block_start": {
+        const block = event.content_block || {};
+        state.currentBlockIndex = event.index ?? state.currentBlockIndex;
+        state.currentBlockType = block.type;
+
+        if (block.type === "thinking") {
+          state.thinkingBlock = {
+            type: "thinking",
+            thinking: block.thinking || "",
+            signature: block.signature || "",
+          };
+        } else if (block.type === "redacted_thinking") {
+          state.thinkingBlock = { type: "redacted_thinking", data: block.data };
+        } else if (block.type === "tool_use" && state.responseFormat && block.name === STRUCTURED_OUTPUT_TOOL) {
+          // Buffered and emitted as content when the block closes
+          state.structuredBlock = { index: state.currentBlockIndex, json: "" };
+        } else if (block.type === "tool_use") {
+          // Start a new tool call, keyed by its content block so interleaved
+          // deltas for parallel calls land on the right entry
+          const toolIndex = state.toolCallsBuffer.length;
+          const name = state.toolNames ? state.toolNames.decode(block.name) : block.name;
+          state.toolCallIndexByBlock ||= {};
+          state.toolCallIndexByBlock[state.currentBlockIndex] = toolIndex;
+          state.openToolCalls ||= new Set();
+          state.openToolCalls.add(toolIndex);
+          state.toolCallsBuffer.push({
+            id: block.id,
+            type: "function",
+            function: {
+              name,
+              arguments: "",
+            },
+          });
+
+          // Emit tool call start
+          chunks.push(
+            buildChunk(state, {
+              tool_calls: [
+                {
+                  index: toolIndex,
+                  id: block.id,
+                  type: "function",
+                  function: {
+                    name,
+                    arguments: "",
+                  },
+                },
+              ],
+            })
+          );
+        }
+        break;
+      }
+
+      case "content_block_delta": {
+        const delta = event.delta || {};
+
+        if (delta.type === "text_delta") {
+          // Regular text content
+          if (state.responseFormat) state.contentText += delta.text || "";
+          chunks.push(buildChunk(state, { content: delta.text || "" }));
+        } else if (delta.type === "thinking_delta") {
+          // Thinking content - the signature follows when the block closes
+          if (state.thinkingBlock?.type === "thinking") {
+            state.thinkingBlock.thinking += delta.thinking || "";
+          }
+          chunks.push(buildChunk(state, { thinking: { content: delta.thinking || "" } }));
+        } else if (
+          delta.type === "input_json_delta" &&
+          state.structuredBlock &&
+          (event.index === undefined || event.index === state.structuredBlock.index)
+        ) {
+          state.structuredBlock.json += delta.partial_json || "";
+        } else if (delta.type === "input_json_delta") {
+          // Tool call arguments; fall back to the latest call if the upstream omits index
+          const toolIndex = event.index !== undefined && state.toolCallIndexByBlock?.[event.index] !== undefined
+            ? state.toolCallIndexByBlock[event.index]
+            : state.toolCallsBuffer.length - 1;
+          // Buffered until the block closes so they can be checked before the client sees them
+          if (toolIndex >= 0) {
+            state.toolCallsBuffer[toolIndex].function.arguments += delta.partial_json || "";
+          }
+        } else if (delta.type === "signature_delta") {
+          // Thinking signature - held until the block closes
+          if (state.thinkingBlock?.type === "thinking") {
+            state.thinkingBlock.signature += delta.signature || "";
+          }
+        }
+        break;
+      }
+
+      case "content_block_stop": {
+        if (state.structuredBlock && (event.index === undefined || event.index === state.structuredBlock.index)) {
+          let input = {};
+          try {
+            input = JSON.parse(state.structuredBlock.json || "{}");
+          } catch (e) {
+            console.warn(`[${this.name}] Invalid structured_output JSON:`, e.message);
+          }
+          const text = structuredOutputText(input, state.responseFormat);
+          state.contentText += text;
+          chunks.push(buildChunk(state, { content: text }));
+          state.structuredBlock = null;
+        }
+
+        const toolIndex = state.toolCallIndexByBlock?.[event.index ?? state.currentBlockIndex];
+        if (toolIndex !== undefined) {
+          chunks.push(...this.finishToolCalls(state, [toolIndex]));
+        }
+
+        // Close the thinking block with its signature so it can be sent back next turn
+        if (state.thinkingBlock) {
+          chunks.push(buildChunk(state, { thinking: { signature: thinkingSignature([state.thinkingBlock]) } }));
+          state.thinkingBlock = null;
+        }
+        state.currentBlockType = null;
+        break;
+      }
+
+      case "message_delta": {
+        const messageDelta = event.delta || {};
+        // Calls cut off by max_tokens never get a content_block_stop
+        chunks.push(...this.finishToolCalls(state, [...(state.openToolCalls || [])]));
+        // message_delta usage is cumulative; input and cache counts may be repeated here
+        const usage = event.usage || {};
+        state.outputTokens = usage.output_tokens || state.outputTokens;
+        state.inputTokens = usage.input_tokens || state.inputTokens;
+        state.cacheReadTokens = usage.cache_read_input_tokens || state.cacheReadTokens || 0;
+        state.cacheCreationTokens = usage.cache_creation_input_tokens || state.cacheCreationTokens || 0;
+
+        // Emit final chunk with finish_reason; the emulated structured_output call is not a tool call
+        const finishReason = messageDelta.stop_reason === "tool_use" && state.responseFormat &&
+          state.toolCallsBuffer.length === 0
+          ? "stop"
+          : this.mapStopReason(messageDelta.stop_reason);
+        const chunk = buildChunk(state, {}, finishReason);
+        chunk.usage = convertUsage({
+          input_tokens: state.inputTokens,
+          output_tokens: state.outputTokens,
+          cache_read_input_tokens: state.cacheReadTokens,
+          cache_creation_input_tokens: state.cacheCreationTokens,
+        });
+        chunks.push(chunk);
+        break;
+      }
+
+      case "error": {
+        // e.g. overloaded_error mid-stream; the client gets an OpenAI error chunk
+        const { error } = normalizeError(event);
+        console.error(`[${this.name}] Stream error:`, error.type, error.message);
+        state.failed = true;
+        chunks.push({ error });
+        break;
+      }
+
+      case "message_stop": // [DONE] is emitted by the stream handler
+      case "ping":
+      default:
+        break;
+    }
+
+    return chunks;
+  }
+
+  /**
+   * Map Anthropic stop_reason to OpenAI finish_reason
+   * @param {string} stopReason - Anthropic stop reason
+   * @returns {string} OpenAI finish reason
+   */
+  mapStopReason(stopReason) {
+    switch (stopReason) {
+      case "end_turn":
+        return "stop";
+      case "max_tokens":
+        return "length";
+      case "tool_use":
+        return "tool_calls";
+      case "stop_sequence":
+        return "stop";
+      default:
+        return stopReason || null;
+    }
+  }
+}
+
+module.exports = {
+  AnthropicCodec,
+  convertMessages,
+  convertTools,
+};
@@ -0,0 +1,258 @@
+/**
+ * Per-model capability registry shared by all transformers.
+ *
+ * Capabilities are declared in config.json as the `capabilities` option of the
+ * transformer that serves the models. The router builds provider entries with
+ * a fixed set of fields and drops anything else, so the registry cannot live
+ * on the provider entry; transformer options are passed to the constructor:
+ *
+ *   "transformers": [
+ *     {
+ *       "path": "~/.claude-code-router/plugins/moonshot-openai.js",
+ *       "options": {
+ *         "capabilities": {
+ *           "*": { "tools": true },
+ *           "moonshot-v1-8k": { "context_window": 8192, "max_output_tokens": 4096, "vision": false }
+ *         }
+ *       }
+ *     }
+ *   ]
+ *
+ * Fields are optional; a missing field means "no restriction, use the transformer default":
+ * - context_window / max_output_tokens: token limits
+ * - vision / tools / web_search: whether the model accepts images, function tools, web search
+ * - tool_result_images: false when images inside tool results are rejected; they are
+ *   then moved into a user message right after the tool results
+ * - documents: false when the model takes no PDF / file input; documents are then
+ *   replaced by their text, extracted locally
+ * - thinking: false, or the provider's thinking style ("budget", "level", "effort");
+ *   gemini-cli treats "level" as Gemini 3 (thought signatures, images in tool results)
+ */
+
+const { isDocumentPart, documentsToText } = require("./documents");
+
+/**
+ * Look up the capabilities of one model
+ * @param {Object} [registry] - The transformer's `capabilities` option
+ * @param {string} model - Model name
+ * @returns {Object} Merged capabilities ("*" entries first, then the model's own)
+ */
+function getCapabilities(registry, model) {
+  return {
+    ...registry?.["*"],
+    ...registry?.[model],
+  };
+}
+
+// Content part types that carry an image
+const IMAGE_PART_TYPES = new Set(["image_url", "image", "input_image"]);
+// Token cost assumed for one image or document part
+const ATTACHMENT_TOKENS = 1600;
+
+/**
+ * Whether a tool is a web search tool rather than a function
+ * @param {Object} tool - OpenAI format tool
+ * @returns {boolean}
+ */
+function isWebSearchTool(tool) {
+  return tool?.type?.startsWith("web_search") || tool?.function?.name === "web_search";
+}
+
+/**
+ * Rough token estimate (~4 characters per token) for context window warnings.
+ * Images and documents count as a flat ATTACHMENT_TOKENS each: the length of
+ * their base64 data says little about their token cost.
+ * @param {Array} messages - OpenAI format messages
+ * @returns {number} Estimated prompt tokens
+ */
+function estimateTokens(messages) {
+  let characters = 0;
+  let attachments = 0;
+  for (const message of messages || []) {
+    const { content, ...rest } = message || {};
+    characters += JSON.stringify(rest).length;
+    if (typeof content === "string") {
+      characters += content.length;
+    } else if (Array.isArray(content)) {
+      for (const part of content) {
+        if (IMAGE_PART_TYPES.has(part?.type) || isDocumentPart(part)) {
+          attachments++;
+        } else {
+          characters += JSON.stringify(part ?? null).length;
+        }
+      }
+    }
+  }
+  return Math.ceil(characters / 4) + attachments * ATTACHMENT_TOKENS;
+}
+
+/**
+ * Replace image parts with a text note
+ * @param {Array} messages - OpenAI format messages
+ * @returns {{messages: Array, removed: number}} Messages without images
+ */
+function stripImages(messages) {
+  let removed = 0;
+  const stripped = messages.map((message) => {
+    if (!Array.isArray(message.content)) return message;
+    const content = message.content.map((part) => {
+      if (!IMAGE_PART_TYPES.has(part?.type)) return part;
+      removed++;
+      return { type: "text", text: "[image omitted: this model does not accept images]" };
+    });
+    return { ...message, content };
+  });
+  return { messages: stripped, removed };
+}
+
+/**
+ * Move images out of tool results into a follow-up user message, for models
+ * that only accept images in user turns
+ * @param {Array} messages - OpenAI format messages
+ * @returns {{messages: Array, moved: number}} Messages with image-free tool results
+ */
+function moveToolResultImages(messages) {
+  let moved = 0;
+  const result = [];
+  let followUp = [];
+  // The follow-up goes after the whole run of tool results so they stay contiguous
+  const flush = () => {
+    if (followUp.length > 0) {
+      result.push({ role: "user", content: followUp });
+      followUp = [];
+    }
+  };
+
+  for (const message of messages) {
+    if (message.role !== "tool") flush();
+    const images = message.role === "tool" && Array.isArray(message.content)
+      ? message.content.filter((part) => IMAGE_PART_TYPES.has(part?.type))
+      : [];
+    if (images.length === 0) {
+      result.push(message);
+      continue;
+    }
+
+    moved += images.length;
+    const rest = message.content.filter((part) => !IMAGE_PART_TYPES.has(part?.type));
+    result.push({
+      ...message,
+      content: [...rest, { type: "text", text: `[${images.length} image(s) attached in the next message]` }],
+    });
+    followUp.push({ type: "text", text: `[image(s) returned by tool call ${message.tool_call_id || message.name || ""}]` });
+    followUp.push(...images);
+  }
+  flush();
+  return { messages: result, moved };
+}
+
+/**
+ * Rewrite tool calls and tool results as plain text for models without tools
+ * @param {Array} messages - OpenAI format messages
+ * @returns {Array} Messages without tool_calls / tool roles
+ */
+function flattenToolHistory(messages) {
+  return messages.map((message) => {
+    if (message.role === "tool" || message.role === "function") {
+      const output = typeof message.content === "string" ? message.content : JSON.stringify(message.content);
+      return { role: "user", content: `[tool result ${message.tool_call_id || message.name || ""}]\n${output}` };
+    }
+    if (message.role === "assistant" && Array.isArray(message.tool_calls)) {
+      const { tool_calls, ...rest } = message;
+      const calls = tool_calls
+        .map((call) => `[tool call ${call.function?.name}(${call.function?.arguments || ""})]`)
+        .join("\n");
+      const text = typeof rest.content === "string" ? rest.content : "";
+      return { ...rest, content: text ? `${text}\n${calls}` : calls };
+    }
+    return message;
+  });
+}
+
+/**
+ * Fit an OpenAI format request to a model's capabilities: clamp max_tokens and
+ * strip images, documents, tools or web search the model cannot take. Every change is logged.
+ * @param {Object} request - OpenAI format request (not modified)
+ * @param {Object} capabilities - Result of getCapabilities
+ * @param {string} [name] - Log prefix
+ * @returns {Object} Adjusted request
+ */
+function applyCapabilities(request, capabilities, name = "capabilities") {
+  const result = { ...request };
+  const model = request.model;
+  const warn = (message) => console.warn(`[${name}] ${model}: ${message}`);
+
+  const maxOutput = capabilities.max_output_tokens;
+  if (maxOutput) {
+    for (const key of ["max_tokens", "max_completion_tokens"]) {
+      if (result[key] > maxOutput) {
+        warn(`${key} ${result[key]} clamped to ${maxOutput}`);
+        result[key] = maxOutput;
+      }
+    }
+  }
+
+  if (Array.isArray(result.messages)) {
+    if (capabilities.vision === false) {
+      const { messages, removed } = stripImages(result.messages);
+      if (removed > 0) {
+        warn(`removed ${removed} image(s), model has no vision support`);
+        result.messages = messages;
+      }
+    }
+
+    if (capabilities.documents === false) {
+      const { messages, converted } = documentsToText(result.messages);
+      if (converted > 0) {
+        warn(`replaced ${converted} document(s) with extracted text, model has no document support`);
+        result.messages = messages;
+      }
+    }
+
+    if (capabilities.tool_result_images === false) {
+      const { messages, moved } = moveToolResultImages(result.messages);
+      if (moved > 0) {
+        warn(`moved ${moved} tool result image(s) into a user message, model only accepts images from the user`);
+        result.messages = messages;
+      }
+    }
+
+    if (capabilities.tools === false && result.messages.some((m) => m.role === "tool" || m.tool_calls)) {
+      warn("rewrote tool calls in history as text, model has no tool support");
+      result.messages = flattenToolHistory(result.messages);
+    }
+  }
+
+  if (Array.isArray(result.tools) && result.tools.length > 0) {
+    let tools = result.tools;
+    if (capabilities.web_search === false && tools.some(isWebSearchTool)) {
+      warn("removed web search tool, not supported");
+      tools = tools.filter((tool) => !isWebSearchTool(tool));
+    }
+    if (capabilities.tools === false && tools.some((tool) => !isWebSearchTool(tool))) {
+      warn(`removed ${tools.filter((tool) => !isWebSearchTool(tool)).length} tool(s), model has no tool support`);
+      tools = tools.filter(isWebSearchTool);
+    }
+    if (tools.length === 0) {
+      delete result.tools;
+      delete result.tool_choice;
+      delete result.parallel_tool_calls;
+    } else {
+      result.tools = tools;
+    }
+  }
+
+  if (capabilities.context_window) {
+    const estimated = estimateTokens(result.messages);
+    if (estimated > capabilities.context_window) {
+      warn(`prompt (~${estimated} tokens) likely exceeds the ${capabilities.context_window}-token context window`);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  getCapabilities,
+  applyCapabilities,
+};
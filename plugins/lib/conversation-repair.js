@@ -0,0 +1,231 @@
+/**
+ * Conversation shape repair shared by all transformers.
+ *
+ * Strict providers reject conversations Claude Code can produce, e.g. after
+ * the user interrupts a tool call. Anthropic wants alternating roles and a
+ * tool_result for every tool_use, Gemini rejects empty `parts`, and the
+ * OpenAI APIs want an output for every function call. The passes below fix
+ * the conversation instead of letting the request fail with an opaque 400:
+ *
+ * - repairMessages (OpenAI format, every transformer): drops empty messages
+ *   and parts, adds placeholder results for interrupted tool calls and turns
+ *   orphaned tool results into user text
+ * - repairAnthropicMessages / repairGeminiContents (provider format): drop
+ *   empty blocks and turns, merge consecutive same-role turns
+ *
+ * Every repair is logged.
+ */
+
+const INTERRUPTED_TOOL_RESULT = "[Tool call interrupted: no result was returned]";
+
+/**
+ * @param {*} text
+ * @returns {boolean} Whether the value is not a non-blank string
+ */
+function isBlankText(text) {
+  return typeof text !== "string" || text.trim() === "";
+}
+
+/**
+ * Log the repairs made to one request
+ * @param {string} name - Log prefix
+ * @param {string[]} repairs - Repair descriptions
+ */
+function logRepairs(name, repairs) {
+  if (repairs.length > 0) {
+    console.warn(`[${name}] Repaired conversation: ${repairs.join("; ")}`);
+  }
+}
+
+/**
+ * Remove missing and blank parts from OpenAI message content
+ * @param {string|Array} content - OpenAI message content
+ * @returns {string|Array} Cleaned content
+ */
+function cleanContent(content) {
+  if (!Array.isArray(content)) return content;
+  return content.filter((part) => {
+    if (typeof part === "string") return part.trim() !== "";
+    if (!part || typeof part !== "object") return false;
+    return !(part.type === "text" && isBlankText(part.text));
+  });
+}
+
+/**
+ * @param {string|Array} content - Message content
+ * @returns {boolean} Whether the content has anything to send
+ */
+function hasContent(content) {
+  return Array.isArray(content) ? content.length > 0 : !isBlankText(content);
+}
+
+/**
+ * Repair an OpenAI format conversation
+ * @param {Array} messages - OpenAI format messages (not modified)
+ * @param {string} [name] - Log prefix
+ * @returns {Array} Repaired messages
+ */
+function repairMessages(messages, name = "conversation") {
+  if (!Array.isArray(messages)) return messages;
+  const repairs = [];
+  const result = [];
+  let pending = new Map(); // tool_call_id -> name, unanswered calls of the last assistant turn
+  let orphans = []; // Tool results without a call, re-added as user text after the results
+
+  const flush = () => {
+    for (const [id, toolName] of pending) {
+      result.push({ role: "tool", tool_call_id: id, name: toolName, content: INTERRUPTED_TOOL_RESULT });
+      repairs.push(`added a placeholder result for interrupted tool call ${toolName} (${id})`);
+    }
+    pending = new Map();
+    result.push(...orphans);
+    orphans = [];
+  };
+
+  messages.forEach((message, index) => {
+    if (!message || typeof message !== "object") {
+      repairs.push(`dropped invalid message ${index}`);
+      return;
+    }
+
+    if (message.role === "tool") {
+      const id = message.tool_call_id;
+      if (id && !pending.has(id)) {
+        const output = typeof message.content === "string" ? message.content : JSON.stringify(message.content);
+        orphans.push({ role: "user", content: `[tool result ${id}]\n${output}` });
+        repairs.push(`turned orphaned tool result ${id} into a user message`);
+        return;
+      }
+      pending.delete(id);
+      result.push(message);
+      return;
+    }
+    flush();
+
+    let repaired = message;
+    const content = cleanContent(message.content);
+    if (content !== message.content) {
+      const removed = message.content.length - content.length;
+      if (removed > 0) repairs.push(`removed ${removed} empty part(s) from ${message.role} message ${index}`);
+      repaired = { ...repaired, content };
+    }
+    if (Array.isArray(message.tool_calls) && message.tool_calls.length === 0) {
+      const { tool_calls, ...rest } = repaired;
+      repaired = rest;
+      repairs.push(`removed empty tool_calls from message ${index}`);
+    }
+
+    const toolCalls = repaired.tool_calls || [];
+    const hasThinking = Boolean(repaired.thinking?.signature);
+    if (!hasContent(repaired.content) && toolCalls.length === 0 && !hasThinking) {
+      repairs.push(`dropped empty ${message.role} message ${index}`);
+      return;
+    }
+
+    result.push(repaired);
+    if (message.role === "assistant") {
+      for (const call of toolCalls) {
+        if (call?.id) pending.set(call.id, call.function?.name || call.name || "unknown");
+      }
+    }
+  });
+  flush();
+
+  logRepairs(name, repairs);
+  return result;
+}
+
+/**
+ * Put blocks a role has to lead with first (tool results in user turns,
+ * thinking in assistant turns), keeping the order otherwise
+ * @param {Array} blocks - Content blocks or parts
+ * @param {Function} leads - Predicate for blocks that must come first
+ * @returns {Array} Ordered blocks
+ */
+function leadWith(blocks, leads) {
+  return [...blocks.filter(leads), ...blocks.filter((block) => !leads(block))];
+}
+
+const ANTHROPIC_LEADING_BLOCKS = {
+  user: (block) => block.type === "tool_result",
+  assistant: (block) => block.type === "thinking" || block.type === "redacted_thinking",
+};
+
+/**
+ * Repair Anthropic format messages: drop empty blocks and messages, merge consecutive roles
+ * @param {Array} messages - Anthropic messages (not modified)
+ * @param {string} [name] - Log prefix
+ * @returns {Array} Repaired messages
+ */
+function repairAnthropicMessages(messages, name = "anthropic") {
+  const repairs = [];
+  const result = [];
+
+  messages.forEach((message, index) => {
+    let content = message.content;
+    if (Array.isArray(content)) {
+      content = content.filter((block) => block && !(block.type === "text" && isBlankText(block.text)));
+      const removed = message.content.length - content.length;
+      if (removed > 0) repairs.push(`removed ${removed} empty block(s) from ${message.role} turn ${index}`);
+    }
+    if (!hasContent(content)) {
+      repairs.push(`dropped empty ${message.role} turn ${index}`);
+      return;
+    }
+
+    const previous = result[result.length - 1];
+    if (previous?.role === message.role) {
+      const toBlocks = (value) => (Array.isArray(value) ? value : [{ type: "text", text: value }]);
+      const leads = ANTHROPIC_LEADING_BLOCKS[message.role] || (() => false);
+      previous.content = leadWith([...toBlocks(previous.content), ...toBlocks(content)], leads);
+      repairs.push(`merged consecutive ${message.role} turn ${index}`);
+      return;
+    }
+    result.push({ ...message, content });
+  });
+
+  logRepairs(name, repairs);
+  return result;
+}
+
+/**
+ * Repair Gemini contents: drop missing and empty parts, empty turns, and merge consecutive roles
+ * @param {Array} contents - Gemini contents (not modified)
+ * @param {string} [name] - Log prefix
+ * @returns {Array} Repaired contents
+ */
+function repairGeminiContents(contents, name = "gemini") {
+  const repairs = [];
+  const result = [];
+
+  contents.forEach((turn, index) => {
+    const parts = (turn.parts || []).filter((part) => {
+      if (!part || typeof part !== "object" || Object.keys(part).length === 0) return false;
+      return !("text" in part && isBlankText(part.text) && Object.keys(part).length === 1);
+    });
+    const removed = (turn.parts || []).length - parts.length;
+    if (removed > 0) repairs.push(`removed ${removed} empty or unsupported part(s) from ${turn.role} turn ${index}`);
+    if (parts.length === 0) {
+      repairs.push(`dropped empty ${turn.role} turn ${index}`);
+      return;
+    }
+
+    const previous = result[result.length - 1];
+    if (previous?.role === turn.role) {
+      previous.parts = leadWith([...previous.parts, ...parts], (part) => Boolean(part.functionResponse));
+      repairs.push(`merged consecutive ${turn.role} turn ${index}`);
+      return;
+    }
+    result.push({ ...turn, parts });
+  });
+
+  logRepairs(name, repairs);
+  return result;
+}
+
+module.exports = {
+  INTERRUPTED_TOOL_RESULT,
+  repairMessages,
+  repairAnthropicMessages,
+  repairGeminiContents,
+};
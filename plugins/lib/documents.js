@@ -0,0 +1,197 @@
+/**
+ * Document (PDF and text file) content parts shared by all transformers.
+ *
+ * Claude Code and OpenAI clients attach files in several shapes:
+ * - OpenAI Chat: { type: "file", file: { file_data: "data:application/pdf;base64,...", filename } }
+ * - Anthropic: { type: "document", source: { type: "base64" | "text" | "url" | "content", ... }, title }
+ * - Responses: { type: "input_file", file_data, filename } (or file_url / file_id)
+ *
+ * parseDocument settles them into one description that each transformer maps
+ * to its native block (Anthropic `document`, Gemini `inlineData`, Responses
+ * `input_file`). documentToText is the local fallback for providers without
+ * document input: text files are inlined, PDFs go through pdf-text.js.
+ */
+
+const { extractPdfText } = require("./pdf-text");
+
+const DOCUMENT_PART_TYPES = new Set(["file", "document", "input_file"]);
+
+const PDF_MEDIA_TYPE = "application/pdf";
+// "%PDF-" in base64
+const PDF_BASE64_MAGIC = "JVBERi0";
+
+// Media types whose bytes are readable text
+const TEXT_MEDIA_TYPE = /^text\/|^application\/(?:json|xml|x-yaml|yaml|javascript|x-sh|sql|csv)$|\+(?:json|xml)$/;
+
+// Extensions used when a file arrives without a media type
+const EXTENSION_MEDIA_TYPES = {
+  pdf: PDF_MEDIA_TYPE,
+  txt: "text/plain",
+  md: "text/markdown",
+  csv: "text/csv",
+  json: "application/json",
+  xml: "application/xml",
+  html: "text/html",
+  yaml: "application/yaml",
+  yml: "application/yaml",
+};
+
+/**
+ * @param {Object} part - Content part
+ * @returns {boolean} Whether the part carries a document
+ */
+function isDocumentPart(part) {
+  return DOCUMENT_PART_TYPES.has(part?.type);
+}
+
+/**
+ * Guess a media type from a filename
+ * @param {string} [filename]
+ * @returns {string|undefined} Media type
+ */
+function mediaTypeFromFilename(filename) {
+  const extension = typeof filename === "string" ? filename.split(".").pop().toLowerCase() : "";
+  return EXTENSION_MEDIA_TYPES[extension];
+}
+
+/**
+ * Describe a document from base64 data and its media type. Without a media
+ * type or a known extension, only data that starts like a PDF is read as one;
+ * anything else is binary.
+ * @param {string} data - Base64 file contents
+ * @param {string} [mediaType]
+ * @param {string} [title] - Filename or title
+ * @returns {Object} Document description
+ */
+function fromBase64(data, mediaType, title) {
+  const type = (mediaType && mediaType !== "application/octet-stream" ? mediaType : mediaTypeFromFilename(title)) ||
+    (String(data).startsWith(PDF_BASE64_MAGIC) ? PDF_MEDIA_TYPE : "application/octet-stream");
+  if (type === PDF_MEDIA_TYPE) return { kind: "pdf", mediaType: type, data, title };
+  if (TEXT_MEDIA_TYPE.test(type)) {
+    return { kind: "text", mediaType: type, text: Buffer.from(data, "base64").toString("utf8"), title };
+  }
+  return { kind: "binary", mediaType: type, data, title };
+}
+
+/**
+ * Describe a document given as a data URL or raw base64
+ * @param {string} fileData - "data:<type>;base64,<data>" or base64
+ * @param {string} [title] - Filename or title
+ * @returns {Object} Document description
+ */
+function fromFileData(fileData, title) {
+  const match = fileData.match(/^data:([^;,]*)([^,]*),(.*)$/s);
+  if (!match) return fromBase64(fileData, undefined, title);
+  const [, mediaType, params, payload] = match;
+  if (params.includes(";base64")) return fromBase64(payload, mediaType, title);
+  let text = payload;
+  try {
+    text = decodeURIComponent(payload);
+  } catch (error) {
+    // Malformed percent-encoding (e.g. "100%"): keep the payload as it is
+  }
+  return { kind: "text", mediaType: mediaType || "text/plain", text, title };
+}
+
+/**
+ * Describe a document part in any of the accepted shapes
+ * @param {Object} part - Content part
+ * @returns {Object|null} Document description, or null when the part is not a document:
+ *   { kind: "pdf" | "binary", mediaType, data, title }
+ *   { kind: "text", mediaType, text, title }
+ *   { kind: "url", mediaType, url, title }
+ *   { kind: "file_id", fileId, title }
+ */
+function parseDocument(part) {
+  if (!isDocumentPart(part)) return null;
+
+  if (part.type === "document") {
+    const source = part.source || {};
+    const title = part.title;
+    if (source.type === "base64") return fromBase64(source.data, source.media_type, title);
+    if (source.type === "text") return { kind: "text", mediaType: source.media_type || "text/plain", text: source.data || "", title };
+    if (source.type === "url") return { kind: "url", mediaType: mediaTypeFromFilename(source.url) || PDF_MEDIA_TYPE, url: source.url, title };
+    if (source.type === "content") {
+      const blocks = typeof source.content === "string" ? [{ type: "text", text: source.content }] : source.content || [];
+      const text = blocks.filter((block) => block?.type === "text").map((block) => block.text).join("\n");
+      return { kind: "text", mediaType: "text/plain", text, title };
+    }
+    return { kind: "file_id", fileId: source.file_id, title };
+  }
+
+  // "file" nests its fields, "input_file" does not
+  const file = part.type === "file" ? part.file || {} : part;
+  const title = file.filename;
+  if (typeof file.file_data === "string") return fromFileData(file.file_data, title);
+  if (typeof file.file_url === "string") return { kind: "url", mediaType: mediaTypeFromFilename(file.file_url) || PDF_MEDIA_TYPE, url: file.file_url, title };
+  return { kind: "file_id", fileId: file.file_id, title };
+}
+
+/**
+ * Heading used when a document is inlined as text
+ * @param {Object} document - Result of parseDocument
+ * @returns {string} "Document: <title>" or "Document"
+ */
+function documentLabel(document) {
+  return document.title ? `Document: ${document.title}` : "Document";
+}
+
+/**
+ * Text part for a document, for providers without document input. PDFs are
+ * extracted locally; documents that cannot be read (including PDFs the
+ * extractor fails on) become a short note instead of failing the request.
+ * @param {Object} document - Result of parseDocument
+ * @returns {{type: "text", text: string}} Text content part
+ */
+function documentToText(document) {
+  const label = documentLabel(document);
+  let text = "";
+  let reason;
+  if (document.kind === "text") {
+    text = document.text;
+  } else if (document.kind === "pdf") {
+    reason = "no text could be extracted from the PDF";
+    try {
+      text = extractPdfText(Buffer.from(document.data || "", "base64"));
+    } catch (error) {
+      console.warn(`[documents] Could not extract text from ${document.title || "a PDF"}: ${error.message}`);
+      reason = "the PDF could not be read";
+    }
+  } else if (document.kind === "url") {
+    reason = `${document.url} cannot be fetched`;
+  } else if (document.kind === "file_id") {
+    reason = `file id ${document.fileId} cannot be resolved`;
+  } else {
+    reason = `${document.mediaType} files are not supported`;
+  }
+  if (text.trim()) return { type: "text", text: `[${label}]\n${text}` };
+  return { type: "text", text: `[${label} omitted: ${reason || "empty document"}]` };
+}
+
+/**
+ * Replace document parts with their text, for models without document input
+ * @param {Array} messages - OpenAI format messages
+ * @returns {{messages: Array, converted: number}} Messages without document parts
+ */
+function documentsToText(messages) {
+  let converted = 0;
+  const result = messages.map((message) => {
+    if (!Array.isArray(message.content) || !message.content.some(isDocumentPart)) return message;
+    const content = message.content.map((part) => {
+      if (!isDocumentPart(part)) return part;
+      converted++;
+      return documentToText(parseDocument(part));
+    });
+    return { ...message, content };
+  });
+  return { messages: result, converted };
+}
+
+module.exports = {
+  PDF_MEDIA_TYPE,
+  isDocumentPart,
+  parseDocument,
+  documentLabel,
+  documentToText,
+  documentsToText,
+};
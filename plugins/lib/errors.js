@@ -0,0 +1,176 @@
+/**
+ * Upstream error translation shared by all transformers.
+ *
+ * Anthropic, Google (Gemini / Code Assist), Codex and OpenAI-compatible
+ * upstreams report errors in different shapes. These helpers turn any of
+ * them into one OpenAI-style error payload:
+ *
+ *   { error: { message, type, code, param, retryable, retry_after? } }
+ *
+ * Error types use the Anthropic names so the router can hand them to
+ * Claude Code unchanged.
+ *
+ * Only errors that reach transformResponseOut are translated: error bodies
+ * sent with a 200 status and error events inside a stream. The router rejects
+ * non-2xx responses itself before any response transformer runs.
+ */
+
+// Error type -> HTTP status and whether a retry may succeed
+const ERROR_TYPES = {
+  invalid_request_error: { status: 400, retryable: false },
+  authentication_error: { status: 401, retryable: false },
+  permission_error: { status: 403, retryable: false },
+  not_found_error: { status: 404, retryable: false },
+  request_too_large: { status: 413, retryable: false },
+  rate_limit_error: { status: 429, retryable: true },
+  api_error: { status: 500, retryable: true },
+  overloaded_error: { status: 529, retryable: true },
+};
+
+// google.rpc.Code names used in Gemini error bodies
+const GOOGLE_STATUS_TYPES = {
+  INVALID_ARGUMENT: "invalid_request_error",
+  FAILED_PRECONDITION: "invalid_request_error",
+  OUT_OF_RANGE: "invalid_request_error",
+  UNAUTHENTICATED: "authentication_error",
+  PERMISSION_DENIED: "permission_error",
+  NOT_FOUND: "not_found_error",
+  RESOURCE_EXHAUSTED: "rate_limit_error",
+  UNAVAILABLE: "overloaded_error",
+  INTERNAL: "api_error",
+  DEADLINE_EXCEEDED: "api_error",
+};
+
+// OpenAI / Codex error codes and types
+const OPENAI_CODE_TYPES = {
+  rate_limit_exceeded: "rate_limit_error",
+  usage_limit_reached: "rate_limit_error",
+  insufficient_quota: "rate_limit_error",
+  context_length_exceeded: "invalid_request_error",
+  invalid_prompt: "invalid_request_error",
+  server_error: "api_error",
+  server_is_overloaded: "overloaded_error",
+};
+
+/**
+ * Pick an error type for an HTTP status
+ * @param {number} status - HTTP status
+ * @returns {string} Error type
+ */
+function typeForStatus(status) {
+  if (status === 401) return "authentication_error";
+  if (status === 403) return "permission_error";
+  if (status === 404) return "not_found_error";
+  if (status === 413) return "request_too_large";
+  if (status === 429) return "rate_limit_error";
+  if (status === 503 || status === 529) return "overloaded_error";
+  if (status >= 400 && status < 500) return "invalid_request_error";
+  return "api_error";
+}
+
+/**
+ * HTTP status for an error type
+ * @param {string} type - Error type
+ * @returns {number} HTTP status
+ */
+function statusForType(type) {
+  return ERROR_TYPES[type]?.status || 500;
+}
+
+/**
+ * Parse a retry delay in seconds from headers or a Google RetryInfo detail
+ * @param {Object} err - Upstream error object
+ * @param {Headers} [headers] - Upstream response headers
+ * @returns {number|undefined} Seconds to wait
+ */
+function parseRetryAfter(err, headers) {
+  const retryAfterMs = headers?.get("retry-after-ms");
+  if (retryAfterMs && !isNaN(Number(retryAfterMs))) {
+    return Math.ceil(Number(retryAfterMs) / 1000);
+  }
+  const retryAfter = headers?.get("retry-after");
+  if (retryAfter) {
+    if (!isNaN(Number(retryAfter))) return Number(retryAfter);
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) return Math.max(0, Math.ceil((date - Date.now()) / 1000));
+  }
+
+  const retryInfo = err?.details?.find?.((detail) => typeof detail?.retryDelay === "string");
+  if (retryInfo) {
+    const seconds = parseFloat(retryInfo.retryDelay);
+    if (!isNaN(seconds)) return Math.ceil(seconds);
+  }
+  if (typeof err?.resets_in_seconds === "number") {
+    return err.resets_in_seconds;
+  }
+  return undefined;
+}
+
+/**
+ * Translate an upstream error body into an OpenAI-style error
+ * @param {*} raw - Parsed error body, stream error event or raw text
+ * @param {Object} [context]
+ * @param {number} [context.status] - Upstream HTTP status
+ * @param {Headers} [context.headers] - Upstream response headers
+ * @returns {{status: number, error: Object}} HTTP status and OpenAI error object
+ */
+function normalizeError(raw, { status, headers } = {}) {
+  const body = Array.isArray(raw) ? raw[0] : raw;
+  const err = body && typeof body === "object" ? body.error ?? body : {};
+
+  let type;
+  if (ERROR_TYPES[err.type]) {
+    type = err.type;
+  } else if (GOOGLE_STATUS_TYPES[err.status]) {
+    type = GOOGLE_STATUS_TYPES[err.status];
+  } else if (OPENAI_CODE_TYPES[err.code] || OPENAI_CODE_TYPES[err.type]) {
+    type = OPENAI_CODE_TYPES[err.code] || OPENAI_CODE_TYPES[err.type];
+  } else if (typeof err.code === "number" && err.code >= 400) {
+    type = typeForStatus(err.code);
+  } else {
+    type = typeForStatus(status || 500);
+  }
+
+  const detail = typeof body?.detail === "string" ? body.detail : body?.detail?.message;
+  const message =
+    (typeof err.message === "string" && err.message) ||
+    detail ||
+    (typeof raw === "string" && raw.trim()) ||
+    `Upstream request failed${status ? ` with status ${status}` : ""}`;
+
+  const error = {
+    message,
+    type,
+    code: typeof err.code === "string" ? err.code : err.status || type,
+    param: err.param ?? null,
+    retryable: ERROR_TYPES[type].retryable,
+  };
+  const retryAfter = parseRetryAfter(err, headers);
+  if (retryAfter !== undefined) {
+    error.retry_after = retryAfter;
+  }
+
+  return {
+    status: status && status >= 400 ? status : statusForType(type),
+    error,
+  };
+}
+
+/**
+ * Build a JSON error Response in OpenAI format
+ * @param {{status: number, error: Object}} normalized - Result of normalizeError
+ * @returns {Response} Error response
+ */
+function errorResponse({ status, error }) {
+  const headers = { "Content-Type": "application/json" };
+  if (error.retry_after !== undefined) {
+    headers["Retry-After"] = String(error.retry_after);
+  }
+  return new Response(JSON.stringify({ error }), { status, headers });
+}
+
+module.exports = {
+  normalizeError,
+  statusForType,
+  errorResponse,
+};
@@ -0,0 +1,213 @@
+/**
+ * Minimal PDF text extraction, used as the local fallback for providers that
+ * cannot take PDF input.
+ *
+ * Walks the file's streams, inflates FlateDecode content and collects the
+ * strings shown by the text operators (Tj, TJ, ', "). This covers PDFs
+ * written with simple or standard font encodings; text in CID fonts (e.g.
+ * Identity-H) cannot be read without the font's ToUnicode map and comes out
+ * as an empty string rather than garbage.
+ */
+
+const zlib = require("zlib");
+
+const DEFAULT_MAX_LENGTH = 100000;
+
+// Streams that never hold page text
+const NON_TEXT_STREAM = /\/(?:Subtype\s*\/Image|Type\s*\/XRef|Type\s*\/ObjStm|Length1|Length2|Length3|Subtype\s*\/(?:Type1C|CIDFontType0C|OpenType))\b/;
+
+/**
+ * Decode a stream's bytes according to its dictionary
+ * @param {string} dict - Stream dictionary source
+ * @param {Buffer} data - Raw stream bytes
+ * @returns {string|null} Decoded content (latin1), or null when the filter is unsupported
+ */
+function decodeStream(dict, data) {
+  const filters = dict.match(/\/Filter\s*(\[[^\]]*\]|\/\w+)/)?.[1] || "";
+  if (!filters) return data.toString("latin1");
+  if (filters.replace(/[[\]\s]/g, "") !== "/FlateDecode") return null;
+  try {
+    return zlib.inflateSync(data).toString("latin1");
+  } catch {
+    try {
+      // Tolerate streams with a bad or missing checksum
+      return zlib.inflateSync(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH }).toString("latin1");
+    } catch {
+      return null;
+    }
+  }
+}
+
+/**
+ * Read a literal string starting at `(`
+ * @param {string} source - Content stream
+ * @param {number} start - Index of the opening parenthesis
+ * @returns {[string, number]} Decoded bytes (latin1) and the index after the string
+ */
+function readLiteralString(source, start) {
+  let depth = 1;
+  let result = "";
+  let i = start + 1;
+  while (i < source.length && depth > 0) {
+    const char = source[i];
+    if (char === "\\") {
+      const next = source[i + 1];
+      const escapes = { n: "\n", r: "\r", t: "\t", b: "\b", f: "\f" };
+      if (escapes[next]) {
+        result += escapes[next];
+        i += 2;
+      } else if (/[0-7]/.test(next)) {
+        const octal = source.slice(i + 1, i + 4).match(/^[0-7]{1,3}/)[0];
+        result += String.fromCharCode(parseInt(octal, 8) & 0xff);
+        i += 1 + octal.length;
+      } else if (next === "\r" || next === "\n") {
+        // Line continuation
+        i += next === "\r" && source[i + 2] === "\n" ? 3 : 2;
+      } else {
+        result += next ?? "";
+        i += 2;
+      }
+      continue;
+    }
+    if (char === "(") depth++;
+    if (char === ")") depth--;
+    if (depth > 0) result += char;
+    i++;
+  }
+  return [result, i];
+}
+
+/**
+ * Turn PDF string bytes into text (UTF-16BE when it has a byte order mark)
+ * @param {string} bytes - String bytes as latin1
+ * @returns {string} Text
+ */
+function decodePdfString(bytes) {
+  if (bytes.startsWith("\xfe\xff")) {
+    // swap16 needs whole code units; a truncated string can end in half of one
+    const units = bytes.slice(2, 2 + ((bytes.length - 2) & ~1));
+    return Buffer.from(units, "latin1").swap16().toString("utf16le");
+  }
+  return bytes;
+}
+
+/**
+ * Collect the text shown by one content stream
+ * @param {string} source - Decoded content stream
+ * @returns {string} Text, one line per text line / block
+ */
+function extractContentText(source) {
+  let text = "";
+  let operands = [];
+  const arrays = [];
+  let i = 0;
+
+  const push = (value) => (arrays.length > 0 ? arrays[arrays.length - 1].push(value) : operands.push(value));
+  const lastString = () => [...operands].reverse().find((operand) => typeof operand === "string") || "";
+
+  while (i < source.length) {
+    const char = source[i];
+    if (char === "(") {
+      const [bytes, next] = readLiteralString(source, i);
+      push(decodePdfString(bytes));
+      i = next;
+    } else if (char === "<" && source[i + 1] !== "<") {
+      const end = source.indexOf(">", i);
+      const hex = source.slice(i + 1, end < 0 ? source.length : end).replace(/\s/g, "");
+      push(decodePdfString(Buffer.from(hex.length % 2 ? `${hex}0` : hex, "hex").toString("latin1")));
+      i = end < 0 ? source.length : end + 1;
+    } else if (char === "[") {
+      arrays.push([]);
+      i++;
+    } else if (char === "]") {
+      const array = arrays.pop() || [];
+      push(array);
+      i++;
+    } else if (char === "%") {
+      const end = source.slice(i).search(/[\r\n]/);
+      i = end < 0 ? source.length : i + end;
+    } else if (char === "/") {
+      // Names (fonts, resources) carry no text
+      i += 1 + source.slice(i + 1).match(/^[^\s()<>[\]{}/%]*/)[0].length;
+    } else if (/[\s<>{})]/.test(char)) {
+      i++;
+    } else {
+      const token = source.slice(i).match(/^[^\s()<>[\]{}/%]+/)[0];
+      i += token.length;
+      const number = Number(token);
+      if (!Number.isNaN(number)) {
+        push(number);
+        continue;
+      }
+
+      // Operator
+      if (token === "Tj") {
+        text += lastString();
+      } else if (token === "'" || token === '"') {
+        text += `\n${lastString()}`;
+      } else if (token === "TJ") {
+        const array = [...operands].reverse().find(Array.isArray) || [];
+        for (const item of array) {
+          if (typeof item === "string") text += item;
+          // A large negative adjustment is a word gap
+          else if (typeof item === "number" && item < -200) text += " ";
+        }
+      } else if (token === "Td" || token === "TD") {
+        const ty = operands[operands.length - 1];
+        if (typeof ty === "number" && ty !== 0) text += "\n";
+        else if (!text.endsWith(" ")) text += " ";
+      } else if (token === "T*" || token === "Tm" || token === "ET") {
+        text += "\n";
+      }
+      operands = [];
+    }
+  }
+  return text;
+}
+
+/**
+ * Extract the text of a PDF
+ * @param {Buffer} buffer - PDF file contents
+ * @param {Object} [options]
+ * @param {number} [options.maxLength] - Maximum characters returned
+ * @returns {string} Extracted text (empty when none could be read)
+ */
+function extractPdfText(buffer, { maxLength = DEFAULT_MAX_LENGTH } = {}) {
+  const source = buffer.toString("latin1");
+  if (!source.startsWith("%PDF")) return "";
+
+  const pages = [];
+  const streamPattern = /stream\r?\n/g;
+  let match;
+  while ((match = streamPattern.exec(source))) {
+    // "endstream" also matches the pattern
+    if (source.slice(match.index - 3, match.index) === "end") continue;
+    const dictStart = source.lastIndexOf("obj", match.index);
+    const dict = source.slice(dictStart, match.index);
+    const dataStart = match.index + match[0].length;
+    const dataEnd = source.indexOf("endstream", dataStart);
+    if (dataEnd < 0) break;
+    streamPattern.lastIndex = dataEnd + "endstream".length;
+    if (NON_TEXT_STREAM.test(dict)) continue;
+
+    const content = decodeStream(dict, Buffer.from(source.slice(dataStart, dataEnd).replace(/\r?\n$/, ""), "latin1"));
+    if (!content || !/\bBT\b/.test(content)) continue;
+    pages.push(extractContentText(content));
+  }
+
+  const text = pages
+    .join("\n")
+    .split("\n")
+    .map((line) => line.replace(/[ \t]+/g, " ").trim())
+    .filter(Boolean)
+    .join("\n");
+
+  // Glyph ids from CID fonts decode to control characters, not text
+  const controlCharacters = text.match(/[\x00-\x08\x0b-\x1f\x7f-\x9f]/g)?.length || 0;
+  if (controlCharacters > text.length * 0.1) return "";
+  return text.length > maxLength ? `${text.slice(0, maxLength)}\n[truncated]` : text;
+}
+
+module.exports = {
+  extractPdfText,
+};
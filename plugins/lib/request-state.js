@@ -0,0 +1,32 @@
+/**
+ * Per-request state shared between transformRequestIn and transformResponseOut.
+ *
+ * The router hands each hook its own `{ req }` context object, so anything
+ * written to the context in transformRequestIn is gone by the time the
+ * response is transformed. Only `context.req` (the incoming Fastify request)
+ * is the same object in both hooks; state is kept in a WeakMap keyed by it,
+ * so it is released together with the request.
+ */
+
+const states = new WeakMap();
+
+/**
+ * State object for the request a hook context belongs to
+ * @param {Object} [context] - Hook context ({ req })
+ * @returns {Object|undefined} Mutable state shared by both hooks, or undefined without a context
+ */
+function requestState(context) {
+  if (!context || typeof context !== "object") return undefined;
+  // Contexts without a request (direct calls) keep their state on the context itself
+  const key = context.req && typeof context.req === "object" ? context.req : context;
+  let state = states.get(key);
+  if (!state) {
+    state = {};
+    states.set(key, state);
+  }
+  return state;
+}
+
+module.exports = {
+  requestState,
+};
@@ -0,0 +1,377 @@
+/**
+ * Tool schema normalization shared by all transformers.
+ *
+ * MCP servers and other clients send JSON Schemas with `$ref`/`$defs`,
+ * `allOf`/`oneOf`, `const`, `format` and other keywords that some backends
+ * reject. normalizeSchema rewrites a schema for one provider profile:
+ *
+ * 1. resolve local `$ref`s (recursive refs are cut off) and drop `$defs`
+ * 2. merge `allOf`, flatten nested `anyOf`, and turn `oneOf` into `anyOf` where needed
+ * 3. profile fixes, e.g. Gemini: `const` -> `enum`, `["T","null"]` -> nullable
+ * 4. drop keywords the profile does not accept
+ * 5. make the root a plain object schema, as every provider requires for tool input
+ *
+ * It never throws: on an unexpected failure the original schema is returned
+ * and the failure is reported as a change.
+ */
+
+// Keywords the Gemini (OpenAPI subset) schema accepts
+const GEMINI_KEYWORDS = new Set([
+  "type",
+  "format",
+  "title",
+  "description",
+  "nullable",
+  "enum",
+  "items",
+  "minItems",
+  "maxItems",
+  "properties",
+  "required",
+  "minProperties",
+  "maxProperties",
+  "minLength",
+  "maxLength",
+  "pattern",
+  "minimum",
+  "maximum",
+  "anyOf",
+  "propertyOrdering",
+  "default",
+  "example",
+]);
+
+// Gemini only understands these formats
+const GEMINI_FORMATS = new Set(["enum", "date-time", "int32", "int64", "float", "double"]);
+
+// Keywords that only matter to schema tooling, dropped for every provider
+const META_KEYWORDS = ["$schema", "$id", "$comment", "$anchor"];
+
+const PROFILES = {
+  anthropic: { oneOfToAnyOf: false, gemini: false },
+  openai: { oneOfToAnyOf: true, gemini: false },
+  gemini: { oneOfToAnyOf: true, gemini: true },
+};
+
+const MAX_REF_DEPTH = 8;
+
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Follow a local JSON pointer ("#/$defs/Name")
+ * @param {Object} root - Root schema
+ * @param {string} ref - $ref value
+ * @returns {Object|undefined} Target schema
+ */
+function resolvePointer(root, ref) {
+  if (typeof ref !== "string" || !ref.startsWith("#")) return undefined;
+  const parts = ref
+    .slice(1)
+    .split("/")
+    .filter(Boolean)
+    .map((part) => decodeURIComponent(part).replace(/~1/g, "/").replace(/~0/g, "~"));
+  let node = root;
+  for (const part of parts) {
+    if (!isPlainObject(node) && !Array.isArray(node)) return undefined;
+    node = node[part];
+  }
+  return isPlainObject(node) ? node : undefined;
+}
+
+/**
+ * Merge allOf branches into one schema: properties and required are unioned,
+ * other keywords keep their first value
+ * @param {Array} branches - Schemas
+ * @returns {Object} Merged schema
+ */
+function mergeSchemas(branches) {
+  const merged = {};
+  for (const branch of branches) {
+    if (!isPlainObject(branch)) continue;
+    for (const [key, value] of Object.entries(branch)) {
+      if (key === "properties" && isPlainObject(value)) {
+        merged.properties = { ...value, ...merged.properties };
+      } else if (key === "required" && Array.isArray(value)) {
+        merged.required = [...new Set([...(merged.required || []), ...value])];
+      } else if (!(key in merged)) {
+        merged[key] = value;
+      }
+    }
+  }
+  return merged;
+}
+
+class SchemaNormalizer {
+  constructor(root, profile) {
+    this.root = root;
+    this.profile = PROFILES[profile] || PROFILES.openai;
+    this.changes = new Set();
+  }
+
+  note(path, message) {
+    this.changes.add(`${path}: ${message}`);
+  }
+
+  /**
+   * Normalize one schema node
+   * @param {*} node - Schema node
+   * @param {string} path - Location for change notes
+   * @param {string[]} refStack - $refs being expanded (cycle detection)
+   * @returns {Object} Normalized node
+   */
+  walk(node, path, refStack = []) {
+    if (node === true || node === undefined) return {};
+    if (!isPlainObject(node)) return {};
+    let schema = { ...node };
+
+    // 1. $ref
+    if (schema.$ref !== undefined) {
+      const ref = schema.$ref;
+      delete schema.$ref;
+      const target = resolvePointer(this.root, ref);
+      if (!target) {
+        this.note(path, `unresolvable $ref ${ref} replaced by an unconstrained schema`);
+      } else if (refStack.includes(ref) || refStack.length >= MAX_REF_DEPTH) {
+        this.note(path, `recursive $ref ${ref} cut off`);
+        schema = { type: target.type || "object", description: schema.description || target.description };
+        if (!schema.description) delete schema.description;
+        return this.walk(schema, path, refStack);
+      } else {
+        this.note(path, `resolved $ref ${ref}`);
+        // Sibling keywords (e.g. description) override the referenced schema
+        return this.walk({ ...target, ...schema }, path, [...refStack, ref]);
+      }
+    }
+
+    for (const key of ["$defs", "definitions", ...META_KEYWORDS]) {
+      if (key in schema) delete schema[key];
+    }
+
+    // 2. Combinators
+    if (Array.isArray(schema.allOf)) {
+      const { allOf, ...rest } = schema;
+      this.note(path, "merged allOf");
+      const branches = allOf.map((branch, i) => this.walk(branch, `${path}.allOf[${i}]`, refStack));
+      schema = mergeSchemas([rest, ...branches]);
+    }
+    if (Array.isArray(schema.oneOf)) {
+      if (this.profile.oneOfToAnyOf) {
+        this.note(path, "oneOf converted to anyOf");
+        schema.anyOf = [...(schema.anyOf || []), ...schema.oneOf];
+        delete schema.oneOf;
+      } else {
+        schema.oneOf = schema.oneOf.map((branch, i) => this.walk(branch, `${path}.oneOf[${i}]`, refStack));
+      }
+    }
+    if (Array.isArray(schema.anyOf)) {
+      const branches = [];
+      for (const [i, branch] of schema.anyOf.entries()) {
+        // Gemini has no null type; a null branch makes the schema nullable
+        if (this.profile.gemini && branch?.type === "null") {
+          schema.nullable = true;
+          continue;
+        }
+        const walked = this.walk(branch, `${path}.anyOf[${i}]`, refStack);
+        // Nested anyOf without other constraints is spliced into its parent
+        if (Array.isArray(walked.anyOf) && Object.keys(walked).length === 1) {
+          branches.push(...walked.anyOf);
+        } else {
+          branches.push(walked);
+        }
+      }
+      schema.anyOf = branches;
+    }
+
+    // Children
+    if (isPlainObject(schema.properties)) {
+      const properties = {};
+      for (const [key, value] of Object.entries(schema.properties)) {
+        properties[key] = this.walk(value, `${path}.${key}`, refStack);
+      }
+      schema.properties = properties;
+    }
+    if (Array.isArray(schema.items)) {
+      this.note(path, "tuple items replaced by anyOf of the item schemas");
+      const items = schema.items.map((item, i) => this.walk(item, `${path}[${i}]`, refStack));
+      schema.items = items.length === 1 ? items[0] : { anyOf: items };
+    } else if (schema.items !== undefined) {
+      schema.items = this.walk(schema.items, `${path}[]`, refStack);
+    }
+    if (isPlainObject(schema.additionalProperties)) {
+      schema.additionalProperties = this.walk(schema.additionalProperties, `${path}{}`, refStack);
+    }
+
+    // 3/4. Provider specifics
+    if (this.profile.gemini) {
+      schema = this.toGemini(schema, path);
+    }
+    return schema;
+  }
+
+  /**
+   * Rewrite a node for Gemini's OpenAPI schema subset
+   * @param {Object} schema - Node with children already normalized
+   * @param {string} path - Location for change notes
+   * @returns {Object} Gemini-compatible node
+   */
+  toGemini(schema, path) {
+    if ("const" in schema) {
+      this.note(path, "const converted to enum");
+      schema.enum = [schema.const];
+      delete schema.const;
+    }
+
+    if (Array.isArray(schema.type)) {
+      const types = schema.type.filter((type) => type !== "null");
+      if (types.length < schema.type.length) schema.nullable = true;
+      if (types.length <= 1) {
+        schema.type = types[0] || "string";
+      } else {
+        this.note(path, `type ${JSON.stringify(schema.type)} converted to anyOf`);
+        delete schema.type;
+        schema.anyOf = [...(schema.anyOf || []), ...types.map((type) => ({ type }))];
+      }
+    } else if (schema.type === "null") {
+      schema.type = "string";
+      schema.nullable = true;
+    }
+
+    if (Array.isArray(schema.anyOf)) {
+      const branches = schema.anyOf;
+      const enumOnly = (branch) =>
+        Array.isArray(branch.enum) && Object.keys(branch).every((key) => ["enum", "type", "description"].includes(key));
+      if (branches.length > 1 && branches.every(enumOnly) && branches.every((branch) => branch.enum.every((v) => typeof v === "string"))) {
+        this.note(path, "anyOf of enums merged into one enum");
+        const { anyOf, ...rest } = schema;
+        schema = { type: "string", ...rest, enum: [...new Set(branches.flatMap((branch) => branch.enum))] };
+      } else if (branches.length === 0) {
+        delete schema.anyOf;
+      } else if (branches.length === 1) {
+        const { anyOf, ...rest } = schema;
+        schema = { ...branches[0], ...rest };
+      } else {
+        schema.anyOf = branches;
+        // Gemini rejects type next to anyOf
+        if (schema.type !== undefined) {
+          this.note(path, "type dropped next to anyOf");
+          delete schema.type;
+        }
+      }
+    }
+
+    if (Array.isArray(schema.enum) && schema.enum.some((value) => typeof value !== "string")) {
+      if (schema.enum.every((value) => ["string", "number", "boolean"].includes(typeof value))) {
+        this.note(path, "non-string enum moved to the description");
+        const allowed = `Allowed values: ${schema.enum.map((value) => JSON.stringify(value)).join(", ")}`;
+        schema.description = schema.description ? `${schema.description} (${allowed})` : allowed;
+      }
+      delete schema.enum;
+    }
+    // Gemini only takes enums on strings
+    if (Array.isArray(schema.enum) && schema.type === undefined) {
+      schema.type = "string";
+    }
+
+    if (schema.format !== undefined && !GEMINI_FORMATS.has(schema.format)) {
+      this.note(path, `format "${schema.format}" dropped`);
+      delete schema.format;
+    }
+
+    const dropped = Object.keys(schema).filter((key) => !GEMINI_KEYWORDS.has(key));
+    for (const key of dropped) {
+      delete schema[key];
+    }
+    // additionalProperties is routinely present and never supported; not worth a note
+    const noted = dropped.filter((key) => key !== "additionalProperties");
+    if (noted.length > 0) {
+      this.note(path, `dropped ${noted.join(", ")}`);
+    }
+    return schema;
+  }
+
+  /**
+   * Make the root a plain object schema
+   * @param {Object} schema - Normalized root
+   * @returns {Object} Object schema
+   */
+  toObjectRoot(schema) {
+    for (const keyword of ["anyOf", "oneOf"]) {
+      if (!Array.isArray(schema[keyword])) continue;
+      // A union of object shapes becomes one object whose required
+      // properties are those every branch requires
+      const { [keyword]: branches, ...rest } = schema;
+      const objects = branches.filter((branch) => branch.type === "object" || branch.properties);
+      const merged = mergeSchemas([rest, ...objects]);
+      delete merged.required;
+      const required = objects
+        .map((branch) => branch.required || [])
+        .reduce((common, list) => common.filter((key) => list.includes(key)), objects[0]?.required || []);
+      const explicit = rest.required || [];
+      if (required.length > 0 || explicit.length > 0) {
+        merged.required = [...new Set([...explicit, ...required])];
+      }
+      this.note("$", `root ${keyword} flattened into one object`);
+      schema = merged;
+    }
+
+    if (schema.type === undefined && isPlainObject(schema.properties)) {
+      schema.type = "object";
+    }
+    if (schema.type !== "object") {
+      this.note("$", `root type ${JSON.stringify(schema.type)} replaced by object`);
+      return { type: "object", properties: {} };
+    }
+    if (!schema.properties) schema.properties = {};
+    return schema;
+  }
+}
+
+/**
+ * Normalize a JSON Schema for a provider
+ * @param {Object} schema - Tool parameters / response schema
+ * @param {"anthropic"|"openai"|"gemini"} profile - Target provider family
+ * @param {Object} [options]
+ * @param {boolean} [options.objectRoot=true] - Force the root to be an object schema
+ * @returns {{schema: Object, changes: string[]}} Normalized schema and change notes
+ */
+function normalizeSchema(schema, profile, { objectRoot = true } = {}) {
+  if (!isPlainObject(schema)) {
+    return {
+      schema: objectRoot ? { type: "object", properties: {} } : {},
+      changes: schema === undefined ? [] : ["$: schema is not an object"],
+    };
+  }
+  try {
+    const normalizer = new SchemaNormalizer(schema, profile);
+    let normalized = normalizer.walk(schema, "$");
+    if (objectRoot) {
+      normalized = normalizer.toObjectRoot(normalized);
+    }
+    return { schema: normalized, changes: [...normalizer.changes] };
+  } catch (error) {
+    return { schema, changes: [`$: normalization failed (${error.message}), schema sent unchanged`] };
+  }
+}
+
+/**
+ * Normalize a tool's parameters and log what changed
+ * @param {Object} parameters - Tool parameters schema
+ * @param {string} profile - Target provider family
+ * @param {string} toolName - Tool name for the log line
+ * @param {string} logPrefix - Transformer log prefix
+ * @returns {Object} Normalized schema
+ */
+function normalizeToolParameters(parameters, profile, toolName, logPrefix) {
+  const { schema, changes } = normalizeSchema(parameters, profile);
+  if (changes.length > 0) {
+    console.warn(`[${logPrefix}] Tool "${toolName}" schema normalized: ${changes.join("; ")}`);
+  }
+  return schema;
+}
+
+module.exports = {
+  normalizeSchema,
+  normalizeToolParameters,
+};
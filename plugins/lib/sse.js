@@ -0,0 +1,215 @@
+/**
+ * Server-Sent Events codec shared by all transformers.
+ *
+ * Follows the WHATWG event stream format:
+ * - LF, CRLF and lone CR line endings (also when split across chunks)
+ * - multi-line `data:` fields joined with "\n"
+ * - `event:`, `id:` and `retry:` fields, comment lines (":") ignored
+ * - UTF-8 decoding that survives multi-byte characters split across chunks
+ *
+ * Unlike a browser EventSource, flush() dispatches a trailing event that was
+ * not terminated by a blank line, since upstreams often close without one.
+ */
+
+/**
+ * Incremental SSE decoder
+ */
+class SSEDecoder {
+  constructor() {
+    this.textDecoder = new TextDecoder();
+    this.buffer = "";
+    this.pendingCR = false;
+    this.isFirstChunk = true;
+    // The last event id persists across events, as in EventSource
+    this.lastEventId = undefined;
+    this.resetEvent();
+  }
+
+  resetEvent() {
+    this.eventType = "";
+    this.dataLines = [];
+    this.retry = undefined;
+  }
+
+  /**
+   * Feed a chunk of the stream
+   * @param {string|Uint8Array} chunk - Raw bytes or already-decoded text
+   * @returns {Array<{event: string, data: string, id?: string, retry?: number}>} Completed events
+   */
+  decode(chunk) {
+    let text = typeof chunk === "string" ? chunk : this.textDecoder.decode(chunk, { stream: true });
+    if (this.isFirstChunk && text.length > 0) {
+      // Byte order mark is only stripped at the very start of the stream
+      if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+      this.isFirstChunk = false;
+    }
+    // A CR ending the previous chunk already terminated its line
+    if (this.pendingCR && text.length > 0) {
+      if (text.startsWith("\n")) text = text.slice(1);
+      this.pendingCR = false;
+    }
+
+    this.buffer += text;
+    const events = [];
+    let start = 0;
+    for (let i = 0; i < this.buffer.length; i++) {
+      const char = this.buffer[i];
+      if (char !== "\n" && char !== "\r") continue;
+
+      this.processLine(this.buffer.slice(start, i), events);
+      if (char === "\r") {
+        if (i + 1 === this.buffer.length) {
+          this.pendingCR = true;
+        } else if (this.buffer[i + 1] === "\n") {
+          i++;
+        }
+      }
+      start = i + 1;
+    }
+    this.buffer = this.buffer.slice(start);
+    return events;
+  }
+
+  /**
+   * Signal the end of the stream and return any trailing event
+   * @returns {Array<{event: string, data: string, id?: string, retry?: number}>} Remaining events
+   */
+  flush() {
+    const tail = this.textDecoder.decode();
+    const events = tail ? this.decode(tail) : [];
+    if (this.buffer) {
+      this.processLine(this.buffer, events);
+      this.buffer = "";
+    }
+    this.dispatch(events);
+    return events;
+  }
+
+  processLine(line, events) {
+    if (line === "") {
+      this.dispatch(events);
+      return;
+    }
+    if (line.startsWith(":")) return; // Comment / keep-alive
+
+    const colon = line.indexOf(":");
+    const field = colon === -1 ? line : line.slice(0, colon);
+    let value = colon === -1 ? "" : line.slice(colon + 1);
+    if (value.startsWith(" ")) value = value.slice(1);
+
+    switch (field) {
+      case "event":
+        this.eventType = value;
+        break;
+      case "data":
+        this.dataLines.push(value);
+        break;
+      case "id":
+        if (!value.includes("\0")) this.lastEventId = value;
+        break;
+      case "retry":
+        if (/^\d+$/.test(value)) this.retry = parseInt(value, 10);
+        break;
+      default:
+        // Unknown fields are ignored
+        break;
+    }
+  }
+
+  dispatch(events) {
+    if (this.dataLines.length === 0) {
+      this.resetEvent();
+      return;
+    }
+    const event = {
+      event: this.eventType || "message",
+      data: this.dataLines.join("\n"),
+    };
+    if (this.lastEventId !== undefined) event.id = this.lastEventId;
+    if (this.retry !== undefined) event.retry = this.retry;
+    events.push(event);
+    this.resetEvent();
+  }
+}
+
+/**
+ * Encode one SSE event
+ * @param {Object} event
+ * @param {string|Object} event.data - Payload; objects are JSON encoded
+ * @param {string} [event.event] - Event name
+ * @param {string} [event.id] - Event id
+ * @returns {string} Encoded event, terminated by a blank line
+ */
+function encodeSSE({ data, event, id }) {
+  const payload = typeof data === "string" ? data : JSON.stringify(data);
+  let out = "";
+  if (event) out += `event: ${event}\n`;
+  if (id !== undefined) out += `id: ${id}\n`;
+  for (const line of payload.split(/\r\n|\r|\n/)) {
+    out += `data: ${line}\n`;
+  }
+  return `${out}\n`;
+}
+
+/**
+ * Decode a complete SSE text
+ * @param {string} text - Whole event stream
+ * @returns {Array<{event: string, data: string}>} Events
+ */
+function parseSSE(text) {
+  const decoder = new SSEDecoder();
+  return [...decoder.decode(text), ...decoder.flush()];
+}
+
+/**
+ * Pipe an upstream SSE body through per-event handlers into a new SSE stream.
+ *
+ * Handlers receive an `emit(data, event?)` function that writes one encoded
+ * event downstream. Handler errors fail the downstream stream.
+ * @param {ReadableStream} body - Upstream response body
+ * @param {Object} handlers
+ * @param {Function} handlers.onEvent - (event, emit) called for every decoded event
+ * @param {Function} [handlers.onEnd] - (emit) called once the upstream ends
+ * @returns {ReadableStream} Downstream SSE stream
+ */
+function transformSSE(body, { onEvent, onEnd }) {
+  const decoder = new SSEDecoder();
+  const encoder = new TextEncoder();
+
+  return new ReadableStream({
+    async start(controller) {
+      const reader = body.getReader();
+      const emit = (data, event) => {
+        controller.enqueue(encoder.encode(encodeSSE({ data, event })));
+      };
+
+      try {
+        while (true) {
+          const { done, value } = await reader.read();
+          const events = done ? decoder.flush() : decoder.decode(value);
+          for (const event of events) {
+            await onEvent(event, emit);
+          }
+          if (done) break;
+        }
+        if (onEnd) {
+          await onEnd(emit);
+        }
+        controller.close();
+      } catch (error) {
+        controller.error(error);
+      } finally {
+        try {
+          reader.releaseLock();
+        } catch (e) {}
+      }
+    },
+  });
+}
+
+module.exports = {
+  SSEDecoder,
+  encodeSSE,
+  parseSSE,
+  transformSSE,
+};
@@ -0,0 +1,159 @@
+/**
+ * OpenAI response_format helpers shared by all transformers.
+ *
+ * - parseResponseFormat: settles the accepted response_format shapes
+ * - validateSchema: a small JSON Schema checker for the keywords structured
+ *   output schemas use in practice (type, properties, required,
+ *   additionalProperties, items, enum, const, anyOf/oneOf/allOf, bounds)
+ * - checkStructuredOutput: parses the final text and validates it, returning
+ *   an OpenAI error when it does not match (used with `validateResponseFormat`)
+ */
+
+/**
+ * Normalize an OpenAI response_format
+ * @param {Object} responseFormat - OpenAI response_format
+ * @returns {{type: "json_schema"|"json_object", name?: string, schema?: Object, strict?: boolean}|undefined}
+ */
+function parseResponseFormat(responseFormat) {
+  if (responseFormat?.type === "json_schema") {
+    const jsonSchema = responseFormat.json_schema || {};
+    const schema = jsonSchema.schema || responseFormat.schema;
+    if (!schema) return { type: "json_object" };
+    return {
+      type: "json_schema",
+      name: jsonSchema.name || responseFormat.name || "response",
+      schema,
+      strict: jsonSchema.strict ?? responseFormat.strict,
+    };
+  }
+  if (responseFormat?.type === "json_object") {
+    return { type: "json_object" };
+  }
+  return undefined;
+}
+
+/**
+ * JSON type name of a value, distinguishing integer and null
+ * @param {*} value
+ * @returns {string}
+ */
+function jsonType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number") return Number.isInteger(value) ? "integer" : "number";
+  return typeof value;
+}
+
+/**
+ * Validate a value against a JSON Schema
+ * @param {*} value - Value to check
+ * @param {Object} schema - JSON Schema
+ * @param {string} [path] - Location used in messages
+ * @returns {string[]} Validation errors, empty when valid
+ */
+function validateSchema(value, schema, path = "$") {
+  if (!schema || typeof schema !== "object") return [];
+  const errors = [];
+  const type = jsonType(value);
+
+  if (schema.type) {
+    const allowed = Array.isArray(schema.type) ? schema.type : [schema.type];
+    const matches = allowed.some((t) => t === type || (t === "number" && type === "integer"));
+    if (!matches) return [`${path}: expected ${allowed.join("|")}, got ${type}`];
+  }
+  if (schema.enum && !schema.enum.some((item) => JSON.stringify(item) === JSON.stringify(value))) {
+    errors.push(`${path}: not one of ${JSON.stringify(schema.enum)}`);
+  }
+  if ("const" in schema && JSON.stringify(schema.const) !== JSON.stringify(value)) {
+    errors.push(`${path}: expected ${JSON.stringify(schema.const)}`);
+  }
+
+  if (type === "object") {
+    const properties = schema.properties || {};
+    for (const key of schema.required || []) {
+      if (!(key in value)) errors.push(`${path}: missing required property "${key}"`);
+    }
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateSchema(child, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unexpected property "${key}"`);
+      } else if (typeof schema.additionalProperties === "object") {
+        errors.push(...validateSchema(child, schema.additionalProperties, `${path}.${key}`));
+      }
+    }
+  }
+
+  if (type === "array") {
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${path}: fewer than ${schema.minItems} items`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${path}: more than ${schema.maxItems} items`);
+    }
+  }
+
+  if (type === "string") {
+    if (schema.minLength !== undefined && value.length < schema.minLength) {
+      errors.push(`${path}: shorter than ${schema.minLength}`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${path}: longer than ${schema.maxLength}`);
+    }
+  }
+
+  if (type === "number" || type === "integer") {
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: below ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: above ${schema.maximum}`);
+  }
+
+  if (schema.allOf) {
+    for (const sub of schema.allOf) errors.push(...validateSchema(value, sub, path));
+  }
+  for (const keyword of ["anyOf", "oneOf"]) {
+    if (schema[keyword] && !schema[keyword].some((sub) => validateSchema(value, sub, path).length === 0)) {
+      errors.push(`${path}: does not match any ${keyword} branch`);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check a final response text against the requested format
+ * @param {string} text - Final message content
+ * @param {Object} format - Result of parseResponseFormat
+ * @returns {Object|null} OpenAI error object, or null when the output is valid
+ */
+function checkStructuredOutput(text, format) {
+  if (!format) return null;
+
+  let errors;
+  try {
+    const value = JSON.parse(text);
+    errors = format.schema ? validateSchema(value, format.schema) : [];
+    if (!format.schema && jsonType(value) !== "object") {
+      errors = [`$: expected object, got ${jsonType(value)}`];
+    }
+  } catch (e) {
+    errors = [`not valid JSON: ${e.message}`];
+  }
+  if (errors.length === 0) return null;
+
+  return {
+    message: `Response does not match response_format: ${errors.slice(0, 5).join("; ")}`,
+    type: "api_error",
+    code: "response_format_mismatch",
+    param: "response_format",
+    retryable: true,
+  };
+}
+
+module.exports = {
+  parseResponseFormat,
+  validateSchema,
+  checkStructuredOutput,
+};
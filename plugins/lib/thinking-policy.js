@@ -0,0 +1,180 @@
+/**
+ * Extended-thinking policy for Anthropic-style providers.
+ *
+ * Decides whether a request runs with thinking and with which budget, then
+ * makes the rest of the request body valid for it:
+ * - budget_tokens >= 1024 and below max_tokens (unless interleaved thinking,
+ *   where the budget spans the whole turn and may exceed max_tokens)
+ * - max_tokens raised to leave room for the answer when the client did not set it
+ * - temperature / top_k removed and top_p limited to [0.95, 1], as required in thinking mode
+ * - no thinking when a tool is forced (tool_choice "any" / "tool"), which Anthropic rejects
+ *
+ * Per-model settings come from the transformer options:
+ *
+ *   "thinking": {
+ *     "defaultBudget": 10000,
+ *     "interleaved": false,
+ *     "models": {
+ *       "claude-opus-4-5-thinking": { "budget_tokens": 16000, "interleaved": true },
+ *       "claude-sonnet-4-5": { "budget_tokens": 8000 },
+ *       "kimi-for-coding": { "enabled": false }
+ *     }
+ *   }
+ *
+ * Models not listed follow the capability registry (`thinking: false` turns
+ * thinking off, any other value turns it on), then `thinkingModelPatterns`
+ * (model name substrings). The registry's max_output_tokens caps max_tokens.
+ */
+
+const MIN_THINKING_BUDGET = 1024;
+const INTERLEAVED_THINKING_BETA = "interleaved-thinking-2025-05-14";
+
+// reasoning_effort -> budget_tokens
+const EFFORT_BUDGETS = {
+  minimal: MIN_THINKING_BUDGET,
+  low: 4096,
+  medium: 10000,
+  high: 24576,
+};
+
+class ThinkingPolicy {
+  /**
+   * @param {Object} options
+   * @param {Object} [options.thinking] - Per-model thinking settings (see module doc)
+   * @param {string[]} [options.thinkingModelPatterns] - Fallback model name substrings that enable thinking
+   * @param {number} [options.defaultThinkingBudget] - Budget for models without an explicit one
+   * @param {number} [options.defaultMaxTokens] - Answer room added on top of the budget
+   * @param {string} [options.name] - Log prefix
+   */
+  constructor(options = {}) {
+    const thinking = options.thinking || {};
+    this.models = thinking.models || {};
+    this.interleaved = thinking.interleaved || false;
+    this.defaultBudget = thinking.defaultBudget || options.defaultThinkingBudget || 10000;
+    this.thinkingModelPatterns = options.thinkingModelPatterns || ["thinking"];
+    this.defaultMaxTokens = options.defaultMaxTokens || 4096;
+    this.name = options.name || "anthropic";
+  }
+
+  /**
+   * Settings for one model: explicit config first, then capabilities, then name patterns
+   * @param {string} model - Model name
+   * @param {Object} [capabilities] - Model capabilities from the registry
+   * @returns {{enabled: boolean, budget_tokens: number, interleaved: boolean}|null} null if the model cannot think
+   */
+  modelConfig(model = "", capabilities = {}) {
+    if (capabilities.thinking === false) return null;
+
+    const config = this.models[model];
+    if (config) {
+      return {
+        enabled: config.enabled !== false && config.budget_tokens !== 0,
+        budget_tokens: config.budget_tokens || this.defaultBudget,
+        interleaved: config.interleaved ?? this.interleaved,
+      };
+    }
+    if (capabilities.thinking || this.thinkingModelPatterns.some((pattern) => model.includes(pattern))) {
+      return { enabled: true, budget_tokens: this.defaultBudget, interleaved: this.interleaved };
+    }
+    return null;
+  }
+
+  /**
+   * Resolve the thinking budget for a request
+   * @param {Object} request - OpenAI format request
+   * @param {string} model - Upstream model name
+   * @param {Object} [capabilities] - Model capabilities from the registry
+   * @returns {{budget_tokens: number, interleaved: boolean}|null} null when thinking is off
+   */
+  resolve(request, model, capabilities) {
+    const config = this.modelConfig(model, capabilities);
+    if (!config) return null;
+
+    const effort = request.reasoning?.effort || request.reasoning_effort;
+    if (request.thinking?.type === "disabled" || request.reasoning?.enabled === false || effort === "none") {
+      return null;
+    }
+
+    let budget;
+    if (request.thinking?.budget_tokens) {
+      budget = request.thinking.budget_tokens;
+    } else if (request.reasoning?.max_tokens) {
+      budget = request.reasoning.max_tokens;
+    } else if (effort && EFFORT_BUDGETS[effort]) {
+      budget = EFFORT_BUDGETS[effort];
+    } else if (config.enabled || request.thinking?.type === "enabled") {
+      budget = config.budget_tokens;
+    } else {
+      return null;
+    }
+
+    return { budget_tokens: Math.max(MIN_THINKING_BUDGET, budget), interleaved: config.interleaved };
+  }
+
+  /**
+   * Apply the policy to an encoded Anthropic request body
+   * @param {Object} body - Anthropic request body, modified in place
+   * @param {Object} request - Original OpenAI format request
+   * @param {Object} [capabilities] - Model capabilities from the registry
+   * @returns {Object} The body
+   */
+  apply(body, request, capabilities = {}) {
+    delete body.thinking;
+    const resolved = this.resolve(request, body.model, capabilities);
+    if (!resolved) return body;
+
+    if (body.tool_choice?.type === "any" || body.tool_choice?.type === "tool") {
+      console.warn(`[${this.name}] Thinking disabled: it cannot be combined with a forced tool_choice`);
+      return body;
+    }
+
+    let budget = resolved.budget_tokens;
+    if (!request.max_tokens) {
+      body.max_tokens = Math.max(body.max_tokens, budget + this.defaultMaxTokens);
+      if (capabilities.max_output_tokens) {
+        body.max_tokens = Math.min(body.max_tokens, capabilities.max_output_tokens);
+      }
+    }
+    if (budget >= body.max_tokens && !resolved.interleaved) {
+      budget = body.max_tokens - 1;
+    }
+
+    if (budget < MIN_THINKING_BUDGET) {
+      console.warn(
+        `[${this.name}] max_tokens ${body.max_tokens} leaves no room for the minimum thinking budget; thinking disabled`
+      );
+      return body;
+    }
+
+    body.thinking = { type: "enabled", budget_tokens: budget };
+
+    const stripped = [];
+    if (body.temperature !== undefined && body.temperature !== 1) stripped.push("temperature");
+    if (body.top_k !== undefined) stripped.push("top_k");
+    if (body.top_p !== undefined && (body.top_p < 0.95 || body.top_p > 1)) stripped.push("top_p");
+    for (const key of stripped) {
+      delete body[key];
+    }
+    if (stripped.length > 0) {
+      console.warn(`[${this.name}] Removed ${stripped.join(", ")} (not allowed with thinking)`);
+    }
+
+    return body;
+  }
+
+  /**
+   * anthropic-beta values required by an encoded request
+   * @param {Object} body - Anthropic request body after apply()
+   * @returns {string[]} Beta flags
+   */
+  betas(body) {
+    if (!body.thinking) return [];
+    const interleaved = this.models[body.model]?.interleaved ?? this.interleaved;
+    return interleaved ? [INTERLEAVED_THINKING_BETA] : [];
+  }
+}
+
+module.exports = {
+  ThinkingPolicy,
+  INTERLEAVED_THINKING_BETA,
+};
@@ -0,0 +1,64 @@
+/**
+ * Provider state carried in thinking signatures.
+ *
+ * The router has a single carrier for reasoning across turns: it turns
+ * `delta.thinking.{content,signature}` (or `message.thinking`) into an
+ * Anthropic thinking block, which Claude Code echoes verbatim, and hands the
+ * echoed block back as `message.thinking`. Providers whose continuation state
+ * is not an Anthropic signature pack it into the signature as
+ * `<prefix><base64 JSON>`. Only the transformer that owns a prefix decodes it;
+ * the others must drop such signatures, since a session can switch routes and
+ * Anthropic rejects a thinking block whose signature it did not issue.
+ */
+
+// Codex reasoning items (encrypted_content) from chatgpt-oauth
+const REASONING_SIGNATURE_PREFIX = "codex-reasoning:";
+// Anthropic thinking/redacted_thinking blocks that do not fit in one signature
+const THINKING_BLOCKS_PREFIX = "anthropic-thinking:";
+// Gemini 3 functionCall thoughtSignatures from gemini-cli, by tool call id
+const THOUGHT_SIGNATURE_PREFIX = "gemini-thought:";
+
+const SIGNATURE_PREFIXES = [REASONING_SIGNATURE_PREFIX, THINKING_BLOCKS_PREFIX, THOUGHT_SIGNATURE_PREFIX];
+
+/**
+ * Pack a value into a thinking signature
+ * @param {string} prefix - One of the prefixes above
+ * @param {*} value - JSON-serializable provider state
+ * @returns {string} Signature
+ */
+function encodeSignature(prefix, value) {
+  return prefix + Buffer.from(JSON.stringify(value)).toString("base64");
+}
+
+/**
+ * Unpack the value of a thinking signature
+ * @param {string} prefix - Prefix the caller owns
+ * @param {*} signature - Signature from `message.thinking.signature`
+ * @returns {*} The packed value, or undefined for other or malformed signatures
+ */
+function decodeSignature(prefix, signature) {
+  if (typeof signature !== "string" || !signature.startsWith(prefix)) return undefined;
+  try {
+    return JSON.parse(Buffer.from(signature.slice(prefix.length), "base64").toString("utf8"));
+  } catch (e) {
+    return undefined;
+  }
+}
+
+/**
+ * Whether a signature carries packed provider state rather than an upstream signature
+ * @param {*} signature - Signature from `message.thinking.signature`
+ * @returns {boolean}
+ */
+function isPackedSignature(signature) {
+  return typeof signature === "string" && SIGNATURE_PREFIXES.some((prefix) => signature.startsWith(prefix));
+}
+
+module.exports = {
+  REASONING_SIGNATURE_PREFIX,
+  THINKING_BLOCKS_PREFIX,
+  THOUGHT_SIGNATURE_PREFIX,
+  encodeSignature,
+  decodeSignature,
+  isPackedSignature,
+};
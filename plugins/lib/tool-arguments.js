@@ -0,0 +1,261 @@
+/**
+ * Tolerant tool-call argument handling shared by all transformers.
+ *
+ * A model that hits max_tokens mid-call leaves a truncated argument string in
+ * the history, and JSON.parse on it would break every later request of the
+ * session. Arguments are parsed here instead:
+ * - valid JSON is used as is (non-objects are wrapped as `{ value }`, since
+ *   Anthropic `input` and Gemini `args` must be objects)
+ * - truncated JSON is repaired: unclosed strings, brackets and braces are
+ *   closed, trailing commas and half-written literals are fixed
+ * - anything else is passed as `{ raw_arguments: "<original string>" }`
+ *
+ * checkToolArguments also checks returned arguments against the tool's schema
+ * before they are handed back to the client. Values a model commonly gets the
+ * type wrong on are coerced to what the schema asks for ("3" -> 3, "true" ->
+ * true, a JSON string -> the object or array it encodes, a single value -> a
+ * one-item array). Mismatches that remain after that are only logged: the
+ * arguments still go to the client, whose tool reports its own validation
+ * error to the model, which is more useful than failing the whole response.
+ */
+
+const { validateSchema } = require("./structured-output");
+
+const RAW_ARGUMENTS_KEY = "raw_arguments";
+
+// Half-written literals at the end of a truncated value
+const PARTIAL_LITERALS = [
+  [/(?:t|tr|tru)$/, "true"],
+  [/(?:f|fa|fal|fals)$/, "false"],
+  [/(?:n|nu|nul)$/, "null"],
+];
+
+/**
+ * @param {*} value
+ * @returns {boolean} Whether the value is a non-array object
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+/**
+ * Complete the value a truncation cut off, if any
+ * @param {string} output - Repaired text so far (outside of strings)
+ * @returns {string} Text ending in a complete value
+ */
+function completeValue(output) {
+  if (/[:[,]\s*$/.test(output) || /^\s*$/.test(output)) return output;
+  for (const [pattern, literal] of PARTIAL_LITERALS) {
+    const match = output.match(new RegExp(`([:[,]\\s*)${pattern.source}`));
+    if (match) return output.slice(0, match.index) + match[1] + literal;
+  }
+  // Numbers cut after a sign, dot or exponent
+  return output.replace(/([0-9])[.eE+-]+$/, "$1").replace(/([:[,]\s*)-$/, "$1");
+}
+
+/**
+ * Repair truncated or slightly malformed JSON
+ * @param {string} text - JSON text
+ * @returns {string|undefined} Parseable JSON text, or undefined when it cannot be repaired
+ */
+function repairJson(text) {
+  if (typeof text !== "string") return undefined;
+  let output = "";
+  const frames = []; // Open containers: { close, key } where key = the next string is an object key
+  let inString = false;
+  let escaped = false;
+  let afterKey = false; // A key string was read and no ":" followed yet
+
+  for (const char of text.trim()) {
+    if (inString) {
+      output += char;
+      if (escaped) {
+        escaped = false;
+      } else if (char === "\\") {
+        escaped = true;
+      } else if (char === '"') {
+        inString = false;
+        const frame = frames[frames.length - 1];
+        if (frame?.key) afterKey = true;
+      }
+      continue;
+    }
+
+    const frame = frames[frames.length - 1];
+    if (char === '"') {
+      inString = true;
+    } else if (char === "{" || char === "[") {
+      frames.push({ close: char === "{" ? "}" : "]", key: char === "{" });
+    } else if (char === "}" || char === "]") {
+      if (frame?.close !== char) return undefined;
+      output = output.replace(/,\s*$/, "");
+      frames.pop();
+    } else if (char === ":" && frame?.key) {
+      frame.key = false;
+      afterKey = false;
+    } else if (char === "," && frame?.close === "}") {
+      frame.key = true;
+    }
+    output += char;
+  }
+
+  if (inString) {
+    // Drop a dangling escape before closing the string
+    output = output.replace(/\\u[0-9a-fA-F]{0,3}$/, "").replace(/(^|[^\\])\\$/, "$1");
+    output += '"';
+    const frame = frames[frames.length - 1];
+    if (frame?.key) afterKey = true;
+  }
+
+  while (frames.length > 0) {
+    const frame = frames.pop();
+    output = completeValue(output.replace(/,\s*$/, "")).replace(/,\s*$/, "");
+    if (frame.close === "}" && afterKey) {
+      output += ":null";
+    } else if (/:\s*$/.test(output)) {
+      output += "null";
+    }
+    afterKey = false;
+    output += frame.close;
+  }
+
+  try {
+    JSON.parse(output);
+    return output;
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Parse tool-call arguments without throwing
+ * @param {string|Object} args - Arguments string (or an already parsed object)
+ * @param {string} [toolName] - Tool name used in logs
+ * @param {string} [logPrefix] - Log prefix
+ * @returns {Object} Arguments object
+ */
+function parseToolArguments(args, toolName, logPrefix = "tool-arguments") {
+  if (isPlainObject(args)) return args;
+  if (args === undefined || args === null || (typeof args === "string" && args.trim() === "")) return {};
+
+  let value = args;
+  if (typeof args === "string") {
+    try {
+      value = JSON.parse(args);
+    } catch {
+      const repaired = repairJson(args);
+      if (repaired === undefined) {
+        console.warn(`[${logPrefix}] Could not parse arguments of ${toolName}; passing them as ${RAW_ARGUMENTS_KEY}`);
+        return { [RAW_ARGUMENTS_KEY]: args };
+      }
+      console.warn(`[${logPrefix}] Repaired malformed arguments of ${toolName}`);
+      value = JSON.parse(repaired);
+    }
+  }
+  return isPlainObject(value) ? value : { value };
+}
+
+/**
+ * Allowed JSON types of a schema
+ * @param {Object} schema - JSON Schema
+ * @returns {string[]} Type names, empty when the schema does not restrict the type
+ */
+function schemaTypes(schema) {
+  if (!schema?.type) return [];
+  return Array.isArray(schema.type) ? schema.type : [schema.type];
+}
+
+/**
+ * Coerce a value to the type its schema asks for, where the intent is unambiguous
+ * @param {*} value - Value from the model
+ * @param {Object} [schema] - JSON Schema of the value
+ * @returns {*} Coerced value (the original value when nothing applies)
+ */
+function coerceToSchema(value, schema) {
+  if (!schema || typeof schema !== "object") return value;
+  const types = schemaTypes(schema);
+
+  if (typeof value === "string" && types.length > 0 && !types.includes("string")) {
+    const text = value.trim();
+    if ((types.includes("number") || types.includes("integer")) && text !== "" && Number.isFinite(Number(text))) {
+      const number = Number(text);
+      if (types.includes("number") || Number.isInteger(number)) return number;
+    }
+    if (types.includes("boolean") && (text === "true" || text === "false")) return text === "true";
+    if (types.includes("null") && text === "null") return null;
+    if ((types.includes("object") || types.includes("array")) && /^[[{]/.test(text)) {
+      try {
+        const parsed = JSON.parse(text);
+        if (validateSchema(parsed, { type: types }).length === 0) return coerceToSchema(parsed, schema);
+      } catch {
+        // Not JSON: left for the client's tool to reject
+      }
+    }
+  }
+
+  if (types.includes("array") && !Array.isArray(value) && value !== undefined && value !== null) {
+    if (validateSchema(value, { type: types }).length > 0) return [coerceToSchema(value, schema.items)];
+  }
+
+  if (Array.isArray(value) && schema.items) {
+    return value.map((item) => coerceToSchema(item, schema.items));
+  }
+
+  if (isPlainObject(value) && (schema.properties || typeof schema.additionalProperties === "object")) {
+    const properties = schema.properties || {};
+    const result = {};
+    for (const [key, child] of Object.entries(value)) {
+      const childSchema = properties[key] || (typeof schema.additionalProperties === "object" ? schema.additionalProperties : undefined);
+      result[key] = coerceToSchema(child, childSchema);
+    }
+    return result;
+  }
+
+  return value;
+}
+
+/**
+ * Parse returned tool-call arguments and check them against the tool's schema
+ * @param {string|Object} args - Arguments from the provider
+ * @param {Object} [schema] - JSON Schema of the tool's parameters
+ * @param {string} [toolName] - Tool name used in logs
+ * @param {string} [logPrefix] - Log prefix
+ * @returns {Object} Arguments object (repaired and coerced when needed)
+ */
+function checkToolArguments(args, schema, toolName, logPrefix = "tool-arguments") {
+  const value = parseToolArguments(args, toolName, logPrefix);
+  if (!schema || validateSchema(value, schema).length === 0) return value;
+
+  const coerced = coerceToSchema(value, schema);
+  const errors = validateSchema(coerced, schema);
+  if (errors.length === 0) {
+    console.warn(`[${logPrefix}] Coerced arguments of ${toolName} to match its schema`);
+  } else {
+    // Passed on as is: the client's tool reports the mismatch to the model
+    console.warn(`[${logPrefix}] Arguments of ${toolName} do not match its schema: ${errors.slice(0, 5).join("; ")}`);
+  }
+  return coerced;
+}
+
+/**
+ * Parameter schemas of the request's function tools, by tool name
+ * @param {Array} [tools] - OpenAI format tools
+ * @returns {Map<string, Object>} Tool name -> parameters schema
+ */
+function collectToolSchemas(tools) {
+  const schemas = new Map();
+  for (const tool of tools || []) {
+    const fn = tool?.function;
+    if (fn?.name && fn.parameters) schemas.set(fn.name, fn.parameters);
+  }
+  return schemas;
+}
+
+module.exports = {
+  RAW_ARGUMENTS_KEY,
+  repairJson,
+  parseToolArguments,
+  coerceToSchema,
+  checkToolArguments,
+  collectToolSchemas,
+};
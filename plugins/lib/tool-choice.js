@@ -0,0 +1,37 @@
+/**
+ * OpenAI tool_choice parsing shared by all transformers.
+ *
+ * Each transformer maps the parsed choice to its provider's native form;
+ * this module only settles the accepted OpenAI (and legacy) shapes.
+ */
+
+/**
+ * Normalize an OpenAI tool_choice value
+ *
+ * Accepts "auto" | "none" | "required",
+ * { type: "function", function: { name } }, the Responses-style
+ * { type: "function", name }, and the Anthropic-style "any" / { type: "tool", name }.
+ * @param {string|Object} toolChoice - OpenAI tool_choice
+ * @returns {{mode: "auto"|"none"|"required"|"function", name?: string}|undefined} Parsed choice
+ */
+function parseToolChoice(toolChoice) {
+  if (toolChoice === undefined || toolChoice === null) return undefined;
+
+  if (typeof toolChoice === "string") {
+    if (toolChoice === "any") return { mode: "required" };
+    if (["auto", "none", "required"].includes(toolChoice)) return { mode: toolChoice };
+    return undefined;
+  }
+
+  const name = toolChoice.function?.name || toolChoice.name;
+  if ((toolChoice.type === "function" || toolChoice.type === "tool") && name) {
+    return { mode: "function", name };
+  }
+  if (toolChoice.type === "any") return { mode: "required" };
+  if (["auto", "none", "required"].includes(toolChoice.type)) return { mode: toolChoice.type };
+  return undefined;
+}
+
+module.exports = {
+  parseToolChoice,
+};
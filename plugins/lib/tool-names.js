@@ -0,0 +1,151 @@
+/**
+ * Tool name sanitization shared by all transformers.
+ *
+ * Providers restrict function names: Gemini takes letters, digits and "_"
+ * and the name must start with a letter or "_"; Anthropic and the OpenAI APIs
+ * also allow "-". All of them cap names at 64 characters. MCP names such as
+ * `mcp__github__create_pull_request`, or names with dots or slashes, are
+ * rewritten before the request is sent. The per-request ToolNameMap turns the
+ * names the model returns back into the originals so the client can dispatch them.
+ */
+
+const crypto = require("crypto");
+
+const TOOL_NAME_RULES = {
+  anthropic: { invalid: /[^a-zA-Z0-9_-]/g, maxLength: 64 },
+  openai: { invalid: /[^a-zA-Z0-9_-]/g, maxLength: 64 },
+  gemini: { invalid: /[^a-zA-Z0-9_]/g, maxLength: 64, start: /^[a-zA-Z_]/ },
+};
+
+/**
+ * Short stable hash used to keep rewritten names unique
+ * @param {string} name - Original tool name
+ * @returns {string} 8 hex characters
+ */
+function shortHash(name) {
+  return crypto.createHash("sha1").update(name).digest("hex").slice(0, 8);
+}
+
+/**
+ * Two-way map between original tool names and provider-safe names for one request
+ */
+class ToolNameMap {
+  /**
+   * @param {string} [profile] - "anthropic" | "openai" | "gemini"
+   */
+  constructor(profile = "openai") {
+    this.rules = TOOL_NAME_RULES[profile] || TOOL_NAME_RULES.openai;
+    this.encoded = new Map(); // original -> provider-safe
+    this.decoded = new Map(); // provider-safe -> original
+  }
+
+  /**
+   * Provider-safe name for an original name (the same name always maps the same way)
+   * @param {string} name - Original tool name
+   * @returns {string} Provider-safe name
+   */
+  encode(name) {
+    if (typeof name !== "string" || !name) return name;
+    if (this.encoded.has(name)) return this.encoded.get(name);
+
+    const { invalid, maxLength, start } = this.rules;
+    let safe = name.replace(invalid, "_");
+    if (start && !start.test(safe)) safe = `_${safe}`;
+    if (safe.length > maxLength || this.decoded.has(safe)) {
+      const suffix = `_${shortHash(name)}`;
+      safe = safe.slice(0, maxLength - suffix.length) + suffix;
+    }
+
+    this.encoded.set(name, safe);
+    this.decoded.set(safe, name);
+    return safe;
+  }
+
+  /**
+   * Original name for a name returned by the provider
+   * @param {string} name - Name from functionCall / function_call / tool_use
+   * @returns {string} Original name, or the name itself when it was not rewritten
+   */
+  decode(name) {
+    return this.decoded.get(name) ?? name;
+  }
+
+  /**
+   * Names that were actually changed
+   * @returns {Array<[string, string]>} [original, provider-safe] pairs
+   */
+  renamed() {
+    return [...this.encoded].filter(([original, safe]) => original !== safe);
+  }
+}
+
+/**
+ * Rewrite every tool name in an OpenAI format request (tools, tool_choice,
+ * assistant tool_calls, tool messages) into a provider-safe form
+ * @param {Object} request - OpenAI format request (not modified)
+ * @param {string} profile - "anthropic" | "openai" | "gemini"
+ * @param {string} [logPrefix] - Log prefix
+ * @returns {{request: Object, toolNames: ToolNameMap}} Rewritten request and the reverse map
+ */
+function sanitizeToolNames(request, profile, logPrefix = "tool-names") {
+  const toolNames = new ToolNameMap(profile);
+  const renameFunction = (fn) => (fn?.name ? { ...fn, name: toolNames.encode(fn.name) } : fn);
+
+  // Declared tools first, so they keep their names when a history name collides
+  const tools = Array.isArray(request.tools)
+    ? request.tools.map((tool) => (tool?.function ? { ...tool, function: renameFunction(tool.function) } : tool))
+    : request.tools;
+
+  let toolChoice = request.tool_choice;
+  if (toolChoice && typeof toolChoice === "object") {
+    toolChoice = { ...toolChoice };
+    if (toolChoice.function) toolChoice.function = renameFunction(toolChoice.function);
+    if (toolChoice.name) toolChoice.name = toolNames.encode(toolChoice.name);
+  }
+
+  const messages = Array.isArray(request.messages)
+    ? request.messages.map((message) => {
+        if (message?.role === "assistant" && Array.isArray(message.tool_calls)) {
+          const toolCalls = message.tool_calls.map((call) =>
+            call?.function ? { ...call, function: renameFunction(call.function) } : call
+          );
+          return { ...message, tool_calls: toolCalls };
+        }
+        if ((message?.role === "tool" || message?.role === "function") && message.name) {
+          return { ...message, name: toolNames.encode(message.name) };
+        }
+        return message;
+      })
+    : request.messages;
+
+  const renamed = toolNames.renamed();
+  if (renamed.length === 0) return { request, toolNames };
+
+  console.warn(
+    `[${logPrefix}] Renamed ${renamed.length} tool(s): ${renamed.map(([original, safe]) => `${original} -> ${safe}`).join(", ")}`
+  );
+  return { request: { ...request, tools, tool_choice: toolChoice, messages }, toolNames };
+}
+
+/**
+ * Restore original tool names in an OpenAI format completion or chunk, in place
+ * (for pass-through transformers that do not build tool calls themselves)
+ * @param {Object} data - chat.completion or chat.completion.chunk
+ * @param {ToolNameMap} [toolNames] - Map from sanitizeToolNames
+ * @returns {Object} The same object
+ */
+function restoreToolNames(data, toolNames) {
+  if (!toolNames || !Array.isArray(data?.choices)) return data;
+  for (const choice of data.choices) {
+    for (const toolCall of choice.message?.tool_calls || choice.delta?.tool_calls || []) {
+      if (toolCall.function?.name) toolCall.function.name = toolNames.decode(toolCall.function.name);
+    }
+  }
+  return data;
+}
+
+module.exports = {
+  ToolNameMap,
+  sanitizeToolNames,
+  restoreToolNames,
+};
@@ -11,6 +11,13 @@
  * - The router does NOT auto-append `/v1/chat/completions` unless a transformer sets config.url.
  */
 
+const { transformSSE } = require("./lib/sse");
+const { getCapabilities, applyCapabilities } = require("./lib/capabilities");
+const { normalizeToolParameters } = require("./lib/schema-normalizer");
+const { sanitizeToolNames, restoreToolNames } = require("./lib/tool-names");
+const { repairMessages } = require("./lib/conversation-repair");
+const { requestState } = require("./lib/request-state");
+
 function contentToText(content) {
   if (typeof content === "string") return content;
   if (!Array.isArray(content)) return "";
@@ -24,6 +31,15 @@ function contentToText(content) {
     .join("");
 }
 
+function normalizeTools(tools) {
+  if (!Array.isArray(tools)) return tools;
+  return tools.map((tool) => {
+    if (tool?.type !== "function" || !tool.function) return tool;
+    const parameters = normalizeToolParameters(tool.function.parameters, "openai", tool.function.name, "moonshot-openai");
+    return { ...tool, function: { ...tool.function, parameters } };
+  });
+}
+
 function normalizeChatMessages(messages) {
   if (!Array.isArray(messages)) return [];
   return messages.map((m) => {
@@ -56,7 +72,7 @@ class MoonshotOpenAITransformer {
     this.apiKey = this.options.apiKey || process.env.MOONSHOT_API_KEY;
   }
 
-  async transformRequestIn(request, provider) {
+  async transformRequestIn(request, provider, context) {
     const baseUrl = provider?.api_base_url || this.options.baseUrl || this.baseUrl;
 
     // If baseUrl already includes /chat/completions, preserve it.
@@ -69,10 +85,28 @@ class MoonshotOpenAITransformer {
 
     const apiKey = provider?.api_key || this.options.apiKey || this.apiKey;
 
+    // e.g. moonshot-v1-8k has no vision: images are replaced instead of failing upstream.
+    // Tool messages only carry text, so tool result images go into a user message.
+    // The chat API takes no file parts: PDFs and text files are sent as their text.
+    const capabilities = {
+      tool_result_images: false,
+      documents: false,
+      ...getCapabilities(this.options.capabilities, request.model),
+    };
+    request = applyCapabilities(request, capabilities, "moonshot-openai");
+    const sanitized = sanitizeToolNames(request, "openai", "moonshot-openai");
+    request = sanitized.request;
+    // Only needed on the way back when a name was actually rewritten
+    const state = requestState(context);
+    if (state && sanitized.toolNames.renamed().length > 0) {
+      state.toolNames = sanitized.toolNames;
+    }
+
     const body = {
       ...request,
-      messages: normalizeChatMessages(request.messages),
+      messages: normalizeChatMessages(repairMessages(request.messages, "moonshot-openai")),
     };
+    if (body.tools) body.tools = normalizeTools(body.tools);
 
     const headers = {
       "Content-Type": "application/json",
@@ -93,9 +127,52 @@ class MoonshotOpenAITransformer {
     };
   }
 
-  async transformResponseOut(response) {
-    // Upstream is already OpenAI-like JSON or SSE. Pass through.
-    return response;
+  async transformResponseOut(response, context) {
+    // Upstream is already OpenAI-like JSON or SSE. JSON passes through
+    // unless sanitized tool names have to be restored;
+    // SSE is re-framed so keep-alive comments, CRLF and multi-line data
+    // reach the router as plain `data:` events. Rewritten bodies get fresh
+    // headers: the upstream content-length / content-encoding no longer apply.
+
+    const toolNames = requestState(context)?.toolNames;
+    const contentType = response.headers.get("Content-Type") || "";
+    if (toolNames && contentType.includes("application/json")) {
+      const data = restoreToolNames(await response.json(), toolNames);
+      return new Response(JSON.stringify(data), {
+        status: response.status,
+        statusText: response.statusText,
+        headers: new Headers({
+          "Content-Type": "application/json",
+        }),
+      });
+    }
+    if (!contentType.includes("text/event-stream") || !response.body) return response;
+
+    let sawDone = false;
+    const stream = transformSSE(response.body, {
+      onEvent: ({ event, data }, emit) => {
+        if (data === "[DONE]") sawDone = true;
+        let payload = data;
+        try {
+          // Re-serialize JSON so it always fits on a single data line
+          payload = restoreToolNames(JSON.parse(data), toolNames);
+        } catch {}
+        emit(payload, event === "message" ? undefined : event);
+      },
+      onEnd: (emit) => {
+        if (!sawDone) emit("[DONE]");
+      },
+    });
+
+    return new Response(stream, {
+      status: response.status,
+      statusText: response.statusText,
+      headers: new Headers({
+        "Content-Type": "text/event-stream",
+        "Cache-Control": "no-cache",
+        Connection: "keep-alive",
+      }),
+    });
   }
 }
 
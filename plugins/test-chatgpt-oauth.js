@@ -0,0 +1,404 @@
+/**
+ * Test script for chatgpt-oauth.js transformer
+ */
+
+const assert = require('assert');
+const ChatGPTOAuthTransformer = require('./chatgpt-oauth.js');
+
+// Unsigned JWT; only the payload is read
+function fakeJwt(payload) {
+  const encode = (value) => Buffer.from(JSON.stringify(value)).toString("base64url");
+  return `${encode({ alg: "none" })}.${encode(payload)}.sig`;
+}
+
+// Transformer with a token that is far from expiry, so no refresh is attempted
+function createTransformer(options = {}) {
+  const transformer = new ChatGPTOAuthTransformer(options);
+  transformer.oauth_creds = {
+    tokens: {
+      access_token: fakeJwt({ exp: Math.floor(Date.now() / 1000) + 3600 }),
+      id_token: fakeJwt({ "https://api.openai.com/auth": { chatgpt_account_id: "acct_test" } }),
+      refresh_token: "refresh-test"
+    }
+  };
+  return transformer;
+}
+
+// Codex streams Responses API events
+function codexReply(events) {
+  const body = events.map((event) => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`).join("");
+  return new Response(body, { headers: { "Content-Type": "text/event-stream" } });
+}
+
+// Parse the data events of a transformed stream
+async function readEvents(response) {
+  return (await response.text())
+    .split("\n\n")
+    .filter((event) => event.startsWith("data: ") && event !== "data: [DONE]")
+    .map((event) => JSON.parse(event.slice(6)));
+}
+
+const textEvents = [
+  { type: "response.created", response: { id: "resp_1", model: "gpt-5.2-codex" } },
+  { type: "response.output_text.delta", delta: "Hello" },
+  { type: "response.output_text.delta", delta: " there" },
+  {
+    type: "response.completed",
+    response: { id: "resp_1", model: "gpt-5.2-codex", status: "completed", usage: { input_tokens: 12, output_tokens: 3, total_tokens: 15 } }
+  }
+];
+
+// Test Chat Completions -> Codex Responses request encoding
+async function testRequestEncoding() {
+  console.log("=== Testing Request Encoding ===\n");
+
+  const transformer = createTransformer();
+  const { body, config } = await transformer.transformRequestIn({
+    model: "gpt-5.2-codex",
+    messages: [
+      { role: "system", content: "You are Codex." },
+      { role: "user", content: "List files" },
+      { role: "assistant", content: "Listing.", tool_calls: [{ id: "call_1", type: "function", function: { name: "ls", arguments: '{"path":"."}' } }] },
+      { role: "tool", tool_call_id: "call_1", content: "a.js" }
+    ],
+    tools: [{ type: "function", function: { name: "ls", description: "List a directory", parameters: { type: "object", properties: { path: { type: "string" } } } } }],
+    tool_choice: "auto",
+    stream: false
+  }, {}, { req: { id: "req_encode" } });
+
+  console.log("Body:", JSON.stringify(body, null, 2));
+  assert.strictEqual(body.instructions, "You are Codex.");
+  assert.strictEqual(body.stream, true);
+  assert.strictEqual(body.store, false);
+  assert.deepStrictEqual(body.input, [
+    { role: "user", content: "List files" },
+    { role: "assistant", content: "Listing." },
+    { type: "function_call", call_id: "call_1", name: "ls", arguments: '{"path":"."}' },
+    { type: "function_call_output", call_id: "call_1", output: "a.js" }
+  ]);
+  assert.strictEqual(body.tools[0].type, "function");
+  assert.strictEqual(body.tools[0].name, "ls");
+  assert.strictEqual(body.tool_choice, "auto");
+  assert.strictEqual(config.url.href, "https://chatgpt.com/backend-api/codex/responses");
+  assert.strictEqual(config.headers["chatgpt-account-id"], "acct_test");
+
+  console.log("\n✅ Request encoding passed!\n");
+}
+
+// Test Codex events -> chat.completion.chunk stream, or one chat.completion for non-streaming clients
+async function testResponseDecoding() {
+  console.log("=== Testing Response Decoding ===\n");
+
+  const transformer = createTransformer();
+  const message = [{ role: "user", content: "Hi" }];
+
+  // Streaming client
+  const streamReq = { id: "req_stream" };
+  await transformer.transformRequestIn({ model: "gpt-5.2-codex", messages: message, stream: true }, {}, { req: streamReq });
+  const chunks = await readEvents(await transformer.transformResponseOut(codexReply(textEvents), { req: streamReq }));
+  assert.strictEqual(chunks.map((chunk) => chunk.choices[0].delta.content || "").join(""), "Hello there");
+  assert.ok(chunks.every((chunk) => chunk.object === "chat.completion.chunk"));
+
+  // Non-streaming client: separate hook contexts, as the router creates them
+  const jsonReq = { id: "req_json" };
+  await transformer.transformRequestIn({ model: "gpt-5.2-codex", messages: message, stream: false }, {}, { req: jsonReq });
+  const response = await transformer.transformResponseOut(codexReply(textEvents), { req: jsonReq });
+  assert.strictEqual(response.headers.get("Content-Type"), "application/json");
+  const completion = await response.json();
+  console.log("Completion:", JSON.stringify(completion));
+  assert.strictEqual(completion.object, "chat.completion");
+  assert.deepStrictEqual(completion.choices[0].message, { role: "assistant", content: "Hello there" });
+  assert.strictEqual(completion.choices[0].finish_reason, "stop");
+
+  // Without request-side state the incoming request body decides
+  const fallback = await transformer.transformResponseOut(codexReply(textEvents), { req: { body: { stream: false } } });
+  assert.strictEqual((await fallback.json()).choices[0].message.content, "Hello there");
+
+  console.log("\n✅ Response decoding passed!\n");
+}
+
+// Test finish_reason, usage and errors taken from Codex terminal events
+async function testTerminalEvents() {
+  console.log("=== Testing Terminal Events ===\n");
+
+  const transformer = createTransformer();
+  const decode = async (events, stream = true) => {
+    const req = { id: `req_terminal_${stream}` };
+    await transformer.transformRequestIn({ model: "gpt-5.2-codex", messages: [{ role: "user", content: "Hi" }], stream }, {}, { req });
+    return transformer.transformResponseOut(codexReply(events), { req });
+  };
+
+  // Usage, with cached and reasoning tokens
+  const chunks = await readEvents(await decode([
+    textEvents[0],
+    textEvents[1],
+    {
+      type: "response.completed",
+      response: {
+        status: "completed",
+        usage: {
+          input_tokens: 100,
+          output_tokens: 40,
+          total_tokens: 140,
+          input_tokens_details: { cached_tokens: 60 },
+          output_tokens_details: { reasoning_tokens: 25 }
+        }
+      }
+    }
+  ]));
+  const last = chunks[chunks.length - 1];
+  assert.strictEqual(last.choices[0].finish_reason, "stop");
+  assert.deepStrictEqual(last.usage, {
+    prompt_tokens: 100,
+    completion_tokens: 40,
+    total_tokens: 140,
+    prompt_tokens_details: { cached_tokens: 60 },
+    completion_tokens_details: { reasoning_tokens: 25 }
+  });
+
+  // Function calls finish with tool_calls
+  const toolChunks = await readEvents(await decode([
+    textEvents[0],
+    { type: "response.output_item.added", item: { type: "function_call", call_id: "call_1", name: "ls" } },
+    { type: "response.function_call_arguments.delta", delta: '{"path":' },
+    { type: "response.function_call_arguments.delta", delta: '"."}' },
+    { type: "response.completed", response: { status: "completed" } }
+  ]));
+  assert.strictEqual(toolChunks[toolChunks.length - 1].choices[0].finish_reason, "tool_calls");
+
+  // Hitting max_output_tokens finishes with length
+  const incomplete = await (await decode([
+    textEvents[0],
+    textEvents[1],
+    { type: "response.incomplete", response: { status: "incomplete", incomplete_details: { reason: "max_output_tokens" } } }
+  ], false)).json();
+  assert.strictEqual(incomplete.choices[0].finish_reason, "length");
+
+  // A stream that ends without a terminal event still gets a final chunk
+  const cut = await readEvents(await decode([textEvents[0], textEvents[1]]));
+  assert.strictEqual(cut[cut.length - 1].choices[0].finish_reason, "stop");
+
+  // Failed responses become an OpenAI error: a final event, or an error status when aggregated
+  const failed = [textEvents[0], { type: "response.failed", response: { error: { code: "rate_limit_exceeded", message: "Slow down" } } }];
+  const errorChunks = await readEvents(await decode(failed));
+  assert.strictEqual(errorChunks[errorChunks.length - 1].error.type, "rate_limit_error");
+  const errorResponse = await decode(failed, false);
+  assert.strictEqual(errorResponse.status, 429);
+  const { error } = await errorResponse.json();
+  console.log("Error:", JSON.stringify(error));
+  assert.strictEqual(error.message, "Slow down");
+  assert.strictEqual(error.retryable, true);
+
+  // The failure is the only error: no response_format mismatch on top of it
+  const checked = createTransformer({ validateResponseFormat: true });
+  const formatReq = { id: "req_terminal_format" };
+  await checked.transformRequestIn({
+    model: "gpt-5.2-codex",
+    messages: [{ role: "user", content: "Hi" }],
+    response_format: { type: "json_object" },
+    stream: true
+  }, {}, { req: formatReq });
+  const failedChunks = await readEvents(await checked.transformResponseOut(codexReply(failed), { req: formatReq }));
+  const errors = failedChunks.filter((chunk) => chunk.error);
+  assert.strictEqual(errors.length, 1);
+  assert.strictEqual(errors[0].error.message, "Slow down");
+
+  console.log("\n✅ Terminal events passed!\n");
+}
+
+// Test image and document blocks -> input_image / input_file / input_text parts
+async function testContentParts() {
+  console.log("=== Testing Content Parts ===\n");
+
+  const transformer = createTransformer();
+  const pdf = Buffer.from("%PDF-1.4").toString("base64");
+  const { body } = await transformer.transformRequestIn({
+    model: "gpt-5.2-codex",
+    messages: [
+      {
+        role: "user",
+        content: [
+          { type: "text", text: "Compare these" },
+          { type: "image_url", image_url: { url: "data:image/png;base64,iVBORw0KGgo=" } },
+          { type: "image_url", image_url: { url: "https://example.com/cat.jpg", detail: "high" } },
+          { type: "file", file: { filename: "spec.pdf", file_data: `data:application/pdf;base64,${pdf}` } },
+          { type: "document", source: { type: "base64", media_type: "application/pdf", data: pdf } },
+          { type: "document", source: { type: "url", url: "https://example.com/report.pdf" } },
+          { type: "file", file: { file_id: "file-abc" } },
+          { type: "document", title: "notes.txt", source: { type: "text", media_type: "text/plain", data: "Remember the milk" } }
+        ]
+      },
+      {
+        role: "assistant",
+        content: [{ type: "text", text: "Looking." }, { type: "image_url", image_url: { url: "https://example.com/ignored.png" } }],
+        tool_calls: [{ id: "call_1", type: "function", function: { name: "screenshot", arguments: "{}" } }]
+      },
+      {
+        role: "tool",
+        tool_call_id: "call_1",
+        content: [{ type: "text", text: "Captured" }, { type: "image_url", image_url: { url: "data:image/png;base64,AAAA" } }]
+      }
+    ]
+  }, {}, { req: { id: "req_parts" } });
+
+  console.log("Input:", JSON.stringify(body.input, null, 2));
+  const [user, assistant, call, output] = body.input;
+  assert.deepStrictEqual(user.content.slice(0, 7), [
+    { type: "input_text", text: "Compare these" },
+    { type: "input_image", image_url: "data:image/png;base64,iVBORw0KGgo=", detail: "auto" },
+    { type: "input_image", image_url: "https://example.com/cat.jpg", detail: "high" },
+    { type: "input_file", filename: "spec.pdf", file_data: `data:application/pdf;base64,${pdf}` },
+    { type: "input_file", filename: "document.pdf", file_data: `data:application/pdf;base64,${pdf}` },
+    { type: "input_file", file_url: "https://example.com/report.pdf" },
+    { type: "input_file", file_id: "file-abc" }
+  ]);
+  // Text documents are inlined rather than uploaded
+  assert.strictEqual(user.content[7].type, "input_text");
+  assert.ok(user.content[7].text.includes("notes.txt"));
+  assert.ok(user.content[7].text.includes("Remember the milk"));
+
+  // Assistant turns only keep their text, as output_text
+  assert.deepStrictEqual(assistant, { role: "assistant", content: [{ type: "output_text", text: "Looking." }] });
+  assert.strictEqual(call.type, "function_call");
+
+  // Tool results with images become an output content list
+  assert.deepStrictEqual(output, {
+    type: "function_call_output",
+    call_id: "call_1",
+    output: [
+      { type: "input_text", text: "Captured" },
+      { type: "input_image", image_url: "data:image/png;base64,AAAA", detail: "auto" }
+    ]
+  });
+
+  console.log("\n✅ Content parts passed!\n");
+}
+
+// Test encrypted reasoning carried to the next turn through the thinking signature
+async function testReasoningRoundTrip() {
+  console.log("=== Testing Reasoning Round-Trip ===\n");
+
+  const transformer = createTransformer();
+  const reasoningItem = { type: "reasoning", summary: [{ type: "summary_text", text: "Plan" }], encrypted_content: "gAAAA-encrypted" };
+  const events = [
+    textEvents[0],
+    { type: "response.output_item.added", item: { type: "reasoning" } },
+    { type: "response.reasoning_summary_text.delta", delta: "Plan" },
+    { type: "response.output_item.done", item: reasoningItem },
+    { type: "response.output_item.added", item: { type: "function_call", call_id: "call_1", name: "ls" } },
+    { type: "response.function_call_arguments.delta", delta: "{}" },
+    { type: "response.completed", response: { status: "completed" } }
+  ];
+
+  // The request asks Codex for the encrypted content (store is false)
+  const streamReq = { id: "req_reasoning" };
+  const { body } = await transformer.transformRequestIn({ model: "gpt-5.2-codex", messages: [{ role: "user", content: "List" }], stream: true }, {}, { req: streamReq });
+  assert.deepStrictEqual(body.include, ["reasoning.encrypted_content"]);
+
+  // Streaming: one signature chunk, before the tool call it belongs to
+  const chunks = await readEvents(await transformer.transformResponseOut(codexReply(events), { req: streamReq }));
+  const signatureIndex = chunks.findIndex((chunk) => chunk.choices[0].delta.thinking?.signature);
+  const toolIndex = chunks.findIndex((chunk) => chunk.choices[0].delta.tool_calls);
+  assert.ok(signatureIndex >= 0 && signatureIndex < toolIndex);
+  // The summary streams as thinking content ahead of the signature
+  assert.deepStrictEqual(chunks.filter((chunk) => chunk.choices[0].delta.thinking).map((chunk) => Object.keys(chunk.choices[0].delta.thinking)), [["content"], ["signature"]]);
+  const signature = chunks[signatureIndex].choices[0].delta.thinking.signature;
+  assert.ok(signature.startsWith("codex-reasoning:"));
+
+  // Non-streaming: the aggregated message carries it as message.thinking
+  const jsonReq = { id: "req_reasoning_json" };
+  await transformer.transformRequestIn({ model: "gpt-5.2-codex", messages: [{ role: "user", content: "List" }], stream: false }, {}, { req: jsonReq });
+  const completion = await (await transformer.transformResponseOut(codexReply(events), { req: jsonReq })).json();
+  console.log("Message:", JSON.stringify(completion.choices[0].message));
+  assert.deepStrictEqual(completion.choices[0].message.thinking, { content: "Plan", signature });
+  assert.strictEqual(completion.choices[0].message.reasoning_content, undefined);
+
+  // The router hands the echoed thinking block back as message.thinking; the
+  // reasoning item is restored ahead of the call. Other signatures are ignored.
+  const { body: next } = await transformer.transformRequestIn({
+    model: "gpt-5.2-codex",
+    messages: [
+      { role: "user", content: "List" },
+      { role: "assistant", content: "", thinking: { content: "Plan", signature }, tool_calls: [{ id: "call_1", type: "function", function: { name: "ls", arguments: "{}" } }] },
+      { role: "tool", tool_call_id: "call_1", content: "a.js" },
+      { role: "assistant", content: "Done.", thinking: { content: "Claude thoughts", signature: "EqQBCkYIBxgCKkDanthropic" } },
+      { role: "user", content: "Thanks" }
+    ]
+  }, {}, { req: { id: "req_reasoning_next" } });
+  assert.deepStrictEqual(next.input.slice(1, 3), [
+    { type: "reasoning", summary: reasoningItem.summary, encrypted_content: "gAAAA-encrypted" },
+    { type: "function_call", call_id: "call_1", name: "ls", arguments: "{}" }
+  ]);
+  assert.strictEqual(next.input.filter((item) => item.type === "reasoning").length, 1);
+
+  console.log("\n✅ Reasoning round-trip passed!\n");
+}
+
+// Test token refresh ahead of the access token's exp claim
+async function testTokenRefresh() {
+  console.log("=== Testing Token Refresh ===\n");
+
+  // Far from expiry: no refresh
+  const fresh = createTransformer();
+  let refreshes = 0;
+  fresh.refreshToken = async () => { refreshes++; };
+  await fresh.transformRequestIn({ model: "gpt-5.2-codex", messages: [{ role: "user", content: "Hi" }] }, {}, { req: { id: "req_fresh" } });
+  assert.strictEqual(refreshes, 0);
+
+  // Within the five-minute margin: refresh before sending, with the new token
+  const expiring = createTransformer();
+  expiring.oauth_creds.tokens.access_token = fakeJwt({ exp: Math.floor(Date.now() / 1000) + 60 });
+  const newToken = fakeJwt({ exp: Math.floor(Date.now() / 1000) + 3600 });
+  let release;
+  const pending = new Promise((resolve) => { release = resolve; });
+  expiring.refreshToken = async (refreshToken) => {
+    refreshes++;
+    assert.strictEqual(refreshToken, "refresh-test");
+    await pending;
+    expiring.oauth_creds.tokens.access_token = newToken;
+  };
+
+  // Concurrent requests share one in-flight refresh
+  const requests = [1, 2, 3].map((n) => expiring.transformRequestIn(
+    { model: "gpt-5.2-codex", messages: [{ role: "user", content: "Hi" }] }, {}, { req: { id: `req_expiring_${n}` } }
+  ));
+  release();
+  const results = await Promise.all(requests);
+  assert.strictEqual(refreshes, 1);
+  for (const { config } of results) {
+    assert.strictEqual(config.headers.Authorization, `Bearer ${newToken}`);
+    assert.strictEqual(config.headers["chatgpt-account-id"], "acct_test");
+  }
+
+  // The next expiry starts a new refresh
+  expiring.oauth_creds.tokens.access_token = fakeJwt({ exp: Math.floor(Date.now() / 1000) - 10 });
+  await expiring.transformRequestIn({ model: "gpt-5.2-codex", messages: [{ role: "user", content: "Hi" }] }, {}, { req: { id: "req_expired" } });
+  assert.strictEqual(refreshes, 2);
+
+  console.log("✅ Token refresh passed!\n");
+}
+
+// Run all tests
+async function runTests() {
+  console.log("╔════════════════════════════════════════════╗");
+  console.log("║   ChatGPT OAuth Transformer Tests          ║");
+  console.log("╚════════════════════════════════════════════╝\n");
+
+  try {
+    await testRequestEncoding();
+    await testResponseDecoding();
+    await testContentParts();
+    await testTerminalEvents();
+    await testReasoningRoundTrip();
+    await testTokenRefresh();
+
+    console.log("═══════════════════════════════════════════");
+    console.log("✅ All tests passed!");
+    console.log("═══════════════════════════════════════════");
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+    process.exit(1);
+  }
+}
+
+runTests();
@@ -2,7 +2,9 @@
  * Test script for claude-anthropic.js transformer
  */
 
+const assert = require('assert');
 const ClaudeAnthropicTransformer = require('./claude-anthropic.js');
+const { REASONING_SIGNATURE_PREFIX, THINKING_BLOCKS_PREFIX, encodeSignature } = require('./lib/thinking-signature');
 
 // Mock SSE response data (from user's example)
 const mockSSEData = `event: message_start
@@ -128,14 +130,9 @@ function testSSEProcessing() {
   
   for (const event of events) {
     console.log(`Input event: ${event.type}`);
-    const chunks = transformer._processSSEEvent(event, state);
+    const chunks = transformer.codec.processSSEEvent(event, state);
     
     for (const chunk of chunks) {
-      if (chunk._state) {
-        // Update state
-        Object.assign(state, chunk._state);
-        continue;
-      }
       console.log("  → OpenAI chunk:", JSON.stringify(chunk, null, 2).substring(0, 200) + "...");
     }
     console.log("");
@@ -197,13 +194,9 @@ function testToolUseTransform() {
 
   for (const event of toolEvents) {
     console.log(`Input event: ${event.type}`);
-    const chunks = transformer._processSSEEvent(event, state);
+    const chunks = transformer.codec.processSSEEvent(event, state);
     
     for (const chunk of chunks) {
-      if (chunk._state) {
-        Object.assign(state, chunk._state);
-        continue;
-      }
       if (chunk.choices?.[0]?.delta?.tool_calls) {
         console.log("  → Tool call chunk:", JSON.stringify(chunk.choices[0].delta.tool_calls, null, 2));
       }
@@ -215,6 +208,1043 @@ function testToolUseTransform() {
   console.log("\n✅ Tool use transformation passed!\n");
 }
 
+// Test thinking signature round-trip
+async function testThinkingSignatureRoundTrip() {
+  console.log("=== Testing Thinking Signature Round-Trip ===\n");
+
+  const transformer = new ClaudeAnthropicTransformer();
+
+  const state = {
+    messageId: "msg_789",
+    model: "claude-opus-4-5-thinking",
+    currentBlockIndex: 0,
+    currentBlockType: null,
+    toolCallsBuffer: [],
+    thinkingBlock: null,
+    inputTokens: 0,
+    outputTokens: 0,
+    hasEmittedRole: true
+  };
+
+  const events = [
+    { type: "content_block_start", index: 0, content_block: { type: "thinking", thinking: "" } },
+    { type: "content_block_delta", index: 0, delta: { type: "thinking_delta", thinking: "Need the weather." } },
+    { type: "content_block_delta", index: 0, delta: { type: "signature_delta", signature: "EqQBCgIYAh" } },
+    { type: "content_block_stop", index: 0 },
+    { type: "content_block_start", index: 1, content_block: { type: "redacted_thinking", data: "EmwKAhgB" } },
+    { type: "content_block_stop", index: 1 }
+  ];
+
+  // The router reads delta.thinking: content as it streams, the signature when the block closes
+  const thinkingDeltas = [];
+  for (const event of events) {
+    for (const chunk of transformer.codec.processSSEEvent(event, state)) {
+      if (chunk.choices[0].delta.thinking) thinkingDeltas.push(chunk.choices[0].delta.thinking);
+    }
+  }
+
+  console.log("Streamed thinking deltas:", JSON.stringify(thinkingDeltas, null, 2));
+  assert.strictEqual(thinkingDeltas.length, 3);
+  assert.deepStrictEqual(thinkingDeltas.slice(0, 2), [{ content: "Need the weather." }, { signature: "EqQBCgIYAh" }]);
+  // Redacted thinking has no text of its own; it travels packed in the signature
+  const redactedSignature = thinkingDeltas[2].signature;
+  assert.ok(redactedSignature.startsWith(THINKING_BLOCKS_PREFIX));
+
+  // Claude Code echoes each block and the router hands it back as message.thinking
+  const rebuild = async (thinking) => (await transformer.transformRequestIn({
+    model: "claude-opus-4-5-thinking",
+    messages: [
+      { role: "user", content: "Weather in Seoul?" },
+      {
+        role: "assistant",
+        content: "",
+        thinking,
+        tool_calls: [
+          { id: "toolu_1", type: "function", function: { name: "get_weather", arguments: '{"location":"Seoul"}' } }
+        ]
+      },
+      { role: "tool", tool_call_id: "toolu_1", content: "Sunny" }
+    ]
+  }, {}, { req: {} })).body.messages[1].content;
+
+  const assistantContent = await rebuild({ content: "Need the weather.", signature: "EqQBCgIYAh" });
+  console.log("Rebuilt assistant content:", JSON.stringify(assistantContent, null, 2));
+  assert.deepStrictEqual(assistantContent.slice(0, 1), [{ type: "thinking", thinking: "Need the weather.", signature: "EqQBCgIYAh" }]);
+  assert.strictEqual(assistantContent[1].type, "tool_use");
+
+  const redactedContent = await rebuild({ content: "", signature: redactedSignature });
+  assert.deepStrictEqual(redactedContent.slice(0, 1), [{ type: "redacted_thinking", data: "EmwKAhgB" }]);
+
+  // Non-streaming: every block of the turn ends up in message.thinking
+  const completion = transformer.codec.decodeResponse({
+    id: "msg_789",
+    model: "claude-opus-4-5-thinking",
+    content: [
+      { type: "thinking", thinking: "Need the weather.", signature: "EqQBCgIYAh" },
+      { type: "redacted_thinking", data: "EmwKAhgB" },
+      { type: "tool_use", id: "toolu_1", name: "get_weather", input: { location: "Seoul" } }
+    ],
+    stop_reason: "tool_use"
+  });
+  const message = completion.choices[0].message;
+  console.log("Decoded message:", JSON.stringify(message));
+  assert.strictEqual(message.thinking.content, "Need the weather.");
+  assert.strictEqual(message.reasoning_content, undefined);
+  assert.deepStrictEqual((await rebuild(message.thinking)).map((block) => block.type), ["thinking", "redacted_thinking", "tool_use"]);
+
+  // A single signed block keeps Anthropic's own signature
+  const single = transformer.codec.decodeResponse({
+    content: [{ type: "thinking", thinking: "Short.", signature: "EqQBCgIYAh" }, { type: "text", text: "Hi" }]
+  });
+  assert.deepStrictEqual(single.choices[0].message.thinking, { content: "Short.", signature: "EqQBCgIYAh" });
+
+  // A route switch from chatgpt-oauth: its packed reasoning is not an Anthropic signature
+  const switched = await transformer.transformRequestIn({
+    model: "claude-opus-4-5-thinking",
+    messages: [
+      { role: "user", content: "Weather in Seoul?" },
+      { role: "assistant", content: "Sunny.", thinking: { content: "Plan", signature: encodeSignature(REASONING_SIGNATURE_PREFIX, [{ type: "reasoning", encrypted_content: "gAAAA" }]) } },
+      { role: "user", content: "Thanks" }
+    ]
+  }, {}, { req: {} });
+  console.log("Switched assistant content:", JSON.stringify(switched.body.messages[1].content));
+  assert.strictEqual(switched.body.messages[1].content, "Sunny.");
+
+  console.log("\n✅ Thinking signature round-trip passed!\n");
+}
+
+// Accumulate streamed tool call deltas the way an OpenAI client does
+function accumulateToolCalls(chunks) {
+  const toolCalls = [];
+  for (const chunk of chunks) {
+    for (const delta of chunk.choices?.[0]?.delta?.tool_calls || []) {
+      if (!toolCalls[delta.index]) {
+        toolCalls[delta.index] = { id: delta.id, name: delta.function.name, arguments: "" };
+      }
+      toolCalls[delta.index].arguments += delta.function.arguments || "";
+    }
+  }
+  return toolCalls;
+}
+
+// Interleaved parallel tool_use blocks, as proxied by Antigravity and Kimi
+const interleavedToolEvents = [
+  { type: "message_start", message: { id: "msg_par", model: "claude-opus-4-5-thinking", usage: { input_tokens: 20 } } },
+  { type: "content_block_start", index: 0, content_block: { type: "text", text: "" } },
+  { type: "content_block_delta", index: 0, delta: { type: "text_delta", text: "Checking both." } },
+  { type: "content_block_stop", index: 0 },
+  { type: "content_block_start", index: 1, content_block: { type: "tool_use", id: "toolu_seoul", name: "get_weather" } },
+  { type: "content_block_start", index: 2, content_block: { type: "tool_use", id: "toolu_busan", name: "get_weather" } },
+  { type: "content_block_delta", index: 2, delta: { type: "input_json_delta", partial_json: '{"location":' } },
+  { type: "content_block_delta", index: 1, delta: { type: "input_json_delta", partial_json: '{"location":' } },
+  { type: "content_block_delta", index: 1, delta: { type: "input_json_delta", partial_json: '"Seoul"}' } },
+  { type: "content_block_delta", index: 2, delta: { type: "input_json_delta", partial_json: '"Busan"}' } },
+  { type: "content_block_stop", index: 2 },
+  { type: "content_block_stop", index: 1 },
+  { type: "message_delta", delta: { stop_reason: "tool_use" }, usage: { output_tokens: 40 } },
+  { type: "message_stop" }
+];
+
+const expectedParallelToolCalls = [
+  { id: "toolu_seoul", name: "get_weather", arguments: '{"location":"Seoul"}' },
+  { id: "toolu_busan", name: "get_weather", arguments: '{"location":"Busan"}' }
+];
+
+// Test interleaved parallel tool call streaming
+async function testInterleavedParallelToolCalls() {
+  console.log("=== Testing Interleaved Parallel Tool Calls ===\n");
+
+  const transformer = new ClaudeAnthropicTransformer();
+
+  // Event level
+  const state = transformer.codec.createStreamState();
+  const chunks = interleavedToolEvents.flatMap((event) => transformer.codec.processSSEEvent(event, state));
+  const toolCalls = accumulateToolCalls(chunks);
+  console.log("Accumulated tool calls:", JSON.stringify(toolCalls, null, 2));
+  assert.deepStrictEqual(toolCalls, expectedParallelToolCalls);
+  assert.deepStrictEqual(
+    state.toolCallsBuffer.map((toolCall) => toolCall.function.arguments),
+    ['{"location":"Seoul"}', '{"location":"Busan"}']
+  );
+
+  // Through the full SSE response path
+  const sse = interleavedToolEvents
+    .map((event) => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`)
+    .join("");
+  const response = await transformer.transformResponseOut(
+    new Response(sse, { headers: { "Content-Type": "text/event-stream" } })
+  );
+  const streamedChunks = (await response.text())
+    .split("\n\n")
+    .filter((line) => line.startsWith("data: ") && line !== "data: [DONE]")
+    .map((line) => JSON.parse(line.slice(6)));
+  assert.deepStrictEqual(accumulateToolCalls(streamedChunks), expectedParallelToolCalls);
+  assert.strictEqual(streamedChunks[streamedChunks.length - 1].choices[0].finish_reason, "tool_calls");
+
+  console.log("\n✅ Interleaved parallel tool calls passed!\n");
+}
+
+// Test upstream error bodies and in-stream errors
+async function testUpstreamErrors() {
+  console.log("=== Testing Upstream Errors ===\n");
+
+  const transformer = new ClaudeAnthropicTransformer();
+
+  // Error body behind a 200 status (some proxies), with a retry hint. Non-2xx
+  // responses never get here: the router rejects them before transformResponseOut.
+  const httpResponse = await transformer.transformResponseOut(
+    new Response(
+      JSON.stringify({ type: "error", error: { type: "overloaded_error", message: "Overloaded" } }),
+      { status: 200, headers: { "Content-Type": "application/json", "retry-after": "12" } }
+    )
+  );
+  const httpBody = await httpResponse.json();
+  console.log("Error body:", JSON.stringify(httpBody));
+  assert.strictEqual(httpResponse.status, 529);
+  assert.strictEqual(httpResponse.headers.get("Retry-After"), "12");
+  assert.deepStrictEqual(httpBody, {
+    error: {
+      message: "Overloaded",
+      type: "overloaded_error",
+      code: "overloaded_error",
+      param: null,
+      retryable: true,
+      retry_after: 12
+    }
+  });
+
+  // Overloaded mid-stream, after some text was sent
+  const sse = mockSSEData.split("\n\nevent: content_block_stop")[0] +
+    '\n\nevent: error\ndata: {"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}\n\n';
+  const streamResponse = await transformer.transformResponseOut(
+    new Response(sse, { headers: { "Content-Type": "text/event-stream" } })
+  );
+  const events = (await streamResponse.text())
+    .split("\n\n")
+    .filter((line) => line.startsWith("data: ") && line !== "data: [DONE]")
+    .map((line) => JSON.parse(line.slice(6)));
+  const last = events[events.length - 1];
+  console.log("Stream error chunk:", JSON.stringify(last));
+  assert.strictEqual(last.error.type, "overloaded_error");
+  assert.strictEqual(last.error.retryable, true);
+
+  console.log("\n✅ Upstream errors passed!\n");
+}
+
+// Test cache_control passthrough, automatic breakpoints and cache usage
+async function testPromptCaching() {
+  console.log("=== Testing Prompt Caching ===\n");
+
+  const ephemeral = { type: "ephemeral" };
+  const tools = [{ type: "function", function: { name: "get_weather", parameters: { type: "object" } } }];
+
+  // Explicit markers are carried to system, tools and message blocks
+  const transformer = new ClaudeAnthropicTransformer();
+  const { body } = await transformer.transformRequestIn({
+    model: "claude-sonnet-4-5",
+    messages: [
+      { role: "system", content: [{ type: "text", text: "You are helpful." }, { type: "text", text: "Project notes", cache_control: ephemeral }] },
+      { role: "user", content: "Hello", cache_control: ephemeral }
+    ],
+    tools: [{ ...tools[0], cache_control: ephemeral }]
+  }, {});
+  console.log("System:", JSON.stringify(body.system));
+  assert.deepStrictEqual(body.system, [
+    { type: "text", text: "You are helpful." },
+    { type: "text", text: "Project notes", cache_control: ephemeral }
+  ]);
+  assert.deepStrictEqual(body.tools[0].cache_control, ephemeral);
+  assert.deepStrictEqual(body.messages[0].content, [{ type: "text", text: "Hello", cache_control: ephemeral }]);
+
+  // Automatic breakpoints on the stable prefix
+  const auto = new ClaudeAnthropicTransformer({ autoCacheBreakpoints: true });
+  const { body: autoBody } = await auto.transformRequestIn({
+    model: "claude-sonnet-4-5",
+    messages: [
+      { role: "system", content: "You are helpful." },
+      { role: "user", content: "Hello" },
+      { role: "assistant", content: "Hi!" },
+      { role: "user", content: "Weather?" }
+    ],
+    tools
+  }, {});
+  assert.deepStrictEqual(autoBody.system, [{ type: "text", text: "You are helpful.", cache_control: ephemeral }]);
+  assert.deepStrictEqual(autoBody.tools[0].cache_control, ephemeral);
+  assert.strictEqual(autoBody.messages[1].content, "Hi!");
+  assert.deepStrictEqual(autoBody.messages[2].content, [{ type: "text", text: "Weather?", cache_control: ephemeral }]);
+
+  // Markers over the limit of 4 are dropped from the earliest blocks, without
+  // touching the client's request (native blocks such as documents are passed as is)
+  const marked = (text) => ({ type: "text", text, cache_control: ephemeral });
+  const doc = (data) => ({ type: "document", source: { type: "text", media_type: "text/plain", data }, cache_control: ephemeral });
+  const crowded = {
+    model: "claude-sonnet-4-5",
+    messages: [
+      { role: "system", content: "Rules" },
+      { role: "user", content: [doc("One"), doc("Two"), doc("Three"), doc("Four"), marked("Summarize")] }
+    ],
+    tools: [{ ...tools[0], cache_control: ephemeral }]
+  };
+  const snapshot = JSON.stringify(crowded);
+  const { body: limited } = await transformer.transformRequestIn(crowded, {});
+  assert.strictEqual(JSON.stringify(crowded), snapshot);
+  assert.strictEqual(limited.tools[0].cache_control, undefined);
+  assert.deepStrictEqual(limited.messages[0].content, [
+    { type: "document", source: { type: "text", media_type: "text/plain", data: "One" } },
+    doc("Two"),
+    doc("Three"),
+    doc("Four"),
+    marked("Summarize")
+  ]);
+
+  // Cache reads and writes in streamed usage
+  const state = transformer.codec.createStreamState();
+  const chunks = [
+    { type: "message_start", message: { id: "msg_cache", model: "claude-sonnet-4-5", usage: { input_tokens: 12, output_tokens: 1, cache_read_input_tokens: 3000, cache_creation_input_tokens: 400 } } },
+    { type: "message_delta", delta: { stop_reason: "end_turn" }, usage: { output_tokens: 20 } }
+  ].flatMap((event) => transformer.codec.processSSEEvent(event, state));
+  const usage = chunks[chunks.length - 1].usage;
+  console.log("Usage:", JSON.stringify(usage));
+  assert.deepStrictEqual(usage, {
+    prompt_tokens: 3412,
+    completion_tokens: 20,
+    total_tokens: 3432,
+    prompt_tokens_details: { cached_tokens: 3000, cache_creation_tokens: 400 }
+  });
+
+  console.log("\n✅ Prompt caching passed!\n");
+}
+
+// Test the thinking policy: budget vs max_tokens, sampling params, beta header
+async function testThinkingPolicy() {
+  console.log("=== Testing Thinking Policy ===\n");
+
+  const messages = [{ role: "user", content: "안녕?" }];
+
+  // Default budget on a *-thinking model: max_tokens grows, sampling params go
+  const transformer = new ClaudeAnthropicTransformer();
+  const { body, config } = await transformer.transformRequestIn({
+    model: "claude-opus-4-5-thinking",
+    messages,
+    temperature: 0.2,
+    top_k: 40
+  }, {});
+  console.log("Default:", JSON.stringify({ max_tokens: body.max_tokens, thinking: body.thinking }));
+  assert.deepStrictEqual(body.thinking, { type: "enabled", budget_tokens: 10000 });
+  assert.ok(body.max_tokens > body.thinking.budget_tokens);
+  assert.strictEqual(body.temperature, undefined);
+  assert.strictEqual(body.top_k, undefined);
+  assert.strictEqual(config.headers["anthropic-beta"], undefined);
+
+  // An explicit max_tokens caps the budget
+  const { body: capped } = await transformer.transformRequestIn({
+    model: "claude-opus-4-5-thinking",
+    messages,
+    max_tokens: 6000
+  }, {});
+  assert.strictEqual(capped.max_tokens, 6000);
+  assert.strictEqual(capped.thinking.budget_tokens, 5999);
+
+  // Too small for the minimum budget: thinking is turned off
+  const { body: tooSmall } = await transformer.transformRequestIn({
+    model: "claude-opus-4-5-thinking",
+    messages,
+    max_tokens: 1024
+  }, {});
+  assert.strictEqual(tooSmall.thinking, undefined);
+
+  // Per-model options: budget, interleaved beta, and models without the suffix
+  const configured = new ClaudeAnthropicTransformer({
+    thinking: {
+      models: {
+        "claude-sonnet-4-5": { budget_tokens: 8000, interleaved: true },
+        "claude-opus-4-5-thinking": { enabled: false }
+      }
+    }
+  });
+  const { body: sonnet, config: sonnetConfig } = await configured.transformRequestIn({
+    model: "claude-sonnet-4-5",
+    messages,
+    tools: [{ type: "function", function: { name: "get_weather", parameters: { type: "object" } } }]
+  }, {});
+  assert.deepStrictEqual(sonnet.thinking, { type: "enabled", budget_tokens: 8000 });
+  assert.strictEqual(sonnetConfig.headers["anthropic-beta"], "interleaved-thinking-2025-05-14");
+
+  const { body: opus } = await configured.transformRequestIn({ model: "claude-opus-4-5-thinking", messages }, {});
+  assert.strictEqual(opus.thinking, undefined);
+
+  console.log("\n✅ Thinking policy passed!\n");
+}
+
+// Test the per-model capability registry from the transformer options
+async function testCapabilities() {
+  console.log("=== Testing Capability Registry ===\n");
+
+  // Provider entries as the router builds them: no extra fields survive
+  const provider = { name: "anthropic", baseUrl: "https://api.anthropic.com/v1/messages", models: ["claude-haiku-4-5", "claude-sonnet-4-5"] };
+  const transformer = new ClaudeAnthropicTransformer({
+    capabilities: {
+      "*": { max_output_tokens: 8192 },
+      "claude-haiku-4-5": { vision: false, tools: false, thinking: false },
+      "claude-sonnet-4-5": { thinking: "budget" }
+    }
+  });
+
+  const { body: haiku } = await transformer.transformRequestIn({
+    model: "claude-haiku-4-5",
+    max_tokens: 64000,
+    messages: [
+      { role: "user", content: [{ type: "text", text: "What is this?" }, { type: "image_url", image_url: { url: "data:image/png;base64,iVBOR" } }] },
+      { role: "assistant", content: null, tool_calls: [{ id: "toolu_1", type: "function", function: { name: "ocr", arguments: "{}" } }] },
+      { role: "tool", tool_call_id: "toolu_1", content: "A cat" }
+    ],
+    tools: [{ type: "function", function: { name: "ocr", parameters: { type: "object" } } }],
+    thinking: { type: "enabled", budget_tokens: 2000 }
+  }, provider);
+  console.log("Haiku:", JSON.stringify(haiku, null, 2));
+  assert.strictEqual(haiku.max_tokens, 8192);
+  assert.strictEqual(haiku.tools, undefined);
+  assert.strictEqual(haiku.thinking, undefined);
+  assert.ok(!JSON.stringify(haiku.messages).includes('"image"'));
+  assert.ok(!JSON.stringify(haiku.messages).includes("tool_use"));
+
+  // thinking declared in the registry: enabled without a name match, capped by max output
+  const { body: sonnet } = await transformer.transformRequestIn({
+    model: "claude-sonnet-4-5",
+    messages: [{ role: "user", content: "안녕?" }]
+  }, provider);
+  assert.strictEqual(sonnet.max_tokens, 8192);
+  assert.deepStrictEqual(sonnet.thinking, { type: "enabled", budget_tokens: 8191 });
+
+  // The context window estimate counts attachments at a flat cost, not by their base64 size
+  const small = new ClaudeAnthropicTransformer({ capabilities: { "claude-sonnet-4-5": { context_window: 8192 } } });
+  const warnings = [];
+  const warn = console.warn;
+  console.warn = (...args) => warnings.push(args.join(" "));
+  try {
+    const data = "A".repeat(200000);
+    await small.transformRequestIn({
+      model: "claude-sonnet-4-5",
+      messages: [{
+        role: "user",
+        content: [
+          { type: "text", text: "Compare these" },
+          { type: "image_url", image_url: { url: `data:image/png;base64,${data}` } },
+          { type: "document", source: { type: "base64", media_type: "application/pdf", data } }
+        ]
+      }]
+    }, provider, { req: {} });
+    assert.ok(!warnings.some((warning) => warning.includes("context window")));
+
+    await small.transformRequestIn({
+      model: "claude-sonnet-4-5",
+      messages: [{ role: "user", content: "word ".repeat(8000) }]
+    }, provider, { req: {} });
+    assert.ok(warnings.some((warning) => warning.includes("context window")));
+  } finally {
+    console.warn = warn;
+  }
+
+  console.log("\n✅ Capability registry passed!\n");
+}
+
+// Test tool_choice / parallel_tool_calls mapping
+async function testToolChoice() {
+  console.log("=== Testing Tool Choice ===\n");
+
+  const transformer = new ClaudeAnthropicTransformer();
+  const tools = [{ type: "function", function: { name: "get_weather", parameters: { type: "object" } } }];
+  const encode = async (extra) => (await transformer.transformRequestIn({
+    model: "claude-opus-4-5-thinking",
+    messages: [{ role: "user", content: "Weather in Seoul?" }],
+    tools,
+    ...extra
+  }, {})).body;
+
+  assert.deepStrictEqual((await encode({ tool_choice: "auto" })).tool_choice, { type: "auto" });
+  assert.deepStrictEqual((await encode({ tool_choice: "none" })).tool_choice, { type: "none" });
+  assert.deepStrictEqual((await encode({ tool_choice: "required" })).tool_choice, { type: "any" });
+  assert.deepStrictEqual(
+    (await encode({ tool_choice: "auto", parallel_tool_calls: false })).tool_choice,
+    { type: "auto", disable_parallel_tool_use: true }
+  );
+  assert.deepStrictEqual(
+    (await encode({ parallel_tool_calls: false })).tool_choice,
+    { type: "auto", disable_parallel_tool_use: true }
+  );
+  assert.strictEqual((await encode({})).tool_choice, undefined);
+
+  // A forced tool wins over thinking, which Anthropic cannot combine with it
+  const forced = await encode({ tool_choice: { type: "function", function: { name: "get_weather" } } });
+  console.log("Forced:", JSON.stringify({ tool_choice: forced.tool_choice, thinking: forced.thinking }));
+  assert.deepStrictEqual(forced.tool_choice, { type: "tool", name: "get_weather" });
+  assert.strictEqual(forced.thinking, undefined);
+
+  console.log("\n✅ Tool choice passed!\n");
+}
+
+// Test response_format emulation with a forced structured_output tool
+async function testStructuredOutput() {
+  console.log("=== Testing Structured Output ===\n");
+
+  const transformer = new ClaudeAnthropicTransformer({ validateResponseFormat: true });
+  const schema = {
+    type: "object",
+    properties: { city: { type: "string" }, temperature: { type: "number" } },
+    required: ["city", "temperature"],
+    additionalProperties: false
+  };
+  // Separate hook contexts sharing `req`, see lib/request-state.js
+  const req = { id: "req_format" };
+  const responseFormat = { type: "json_schema", json_schema: { name: "weather", schema } };
+  const { body } = await transformer.transformRequestIn({
+    model: "claude-sonnet-4-5",
+    messages: [{ role: "user", content: "Weather in Seoul as JSON" }],
+    response_format: responseFormat
+  }, {}, { req });
+  assert.deepStrictEqual(body.tools, [{
+    name: "structured_output",
+    description: "Return the final answer. Call this once no other tool is needed; the input must be the complete response.",
+    input_schema: schema
+  }]);
+  assert.deepStrictEqual(body.tool_choice, { type: "tool", name: "structured_output" });
+
+  const reply = (input) => new Response(JSON.stringify({
+    id: "msg_json",
+    model: "claude-sonnet-4-5",
+    stop_reason: "tool_use",
+    content: [{ type: "tool_use", id: "toolu_json", name: "structured_output", input }],
+    usage: { input_tokens: 20, output_tokens: 10 }
+  }), { headers: { "Content-Type": "application/json" } });
+
+  const completion = await (await transformer.transformResponseOut(reply({ city: "Seoul", temperature: 3.5 }), { req })).json();
+  console.log("Completion:", JSON.stringify(completion.choices[0]));
+  assert.strictEqual(completion.choices[0].message.content, '{"city":"Seoul","temperature":3.5}');
+  assert.strictEqual(completion.choices[0].message.tool_calls, undefined);
+  assert.strictEqual(completion.choices[0].finish_reason, "stop");
+
+  // Output that breaks the schema is reported as an error
+  const invalid = await transformer.transformResponseOut(reply({ city: "Seoul" }), { req });
+  assert.strictEqual(invalid.status, 500);
+  assert.strictEqual((await invalid.json()).error.code, "response_format_mismatch");
+
+  // The client's tool_choice is kept when it does not ask for a tool call
+  const { body: noneBody } = await transformer.transformRequestIn({
+    model: "claude-sonnet-4-5",
+    messages: [{ role: "user", content: "Weather in Seoul as JSON" }],
+    response_format: responseFormat,
+    tool_choice: "none"
+  }, {}, { req: { id: "req_format_none" } });
+  assert.deepStrictEqual(noneBody.tool_choice, { type: "none" });
+
+  // With the client's own tools the structured output tool is offered, not forced,
+  // so the model can still call real tools (and keep thinking enabled)
+  const toolsReq = { id: "req_format_tools" };
+  const { body: toolsBody } = await transformer.transformRequestIn({
+    model: "claude-sonnet-4-5",
+    messages: [{ role: "user", content: "Look up the weather in Seoul as JSON" }],
+    response_format: responseFormat,
+    tools: [{ type: "function", function: { name: "get_weather", parameters: { type: "object", properties: { city: { type: "string" } } } } }],
+    tool_choice: "auto"
+  }, {}, { req: toolsReq });
+  assert.deepStrictEqual(toolsBody.tools.map((tool) => tool.name), ["get_weather", "structured_output"]);
+  assert.deepStrictEqual(toolsBody.tool_choice, { type: "auto" });
+
+  // A turn that calls a real tool is passed through instead of checked against the schema
+  const toolTurn = await transformer.transformResponseOut(new Response(JSON.stringify({
+    id: "msg_tool",
+    model: "claude-sonnet-4-5",
+    stop_reason: "tool_use",
+    content: [{ type: "tool_use", id: "toolu_weather", name: "get_weather", input: { city: "Seoul" } }],
+    usage: { input_tokens: 20, output_tokens: 10 }
+  }), { headers: { "Content-Type": "application/json" } }), { req: toolsReq });
+  assert.strictEqual(toolTurn.status, 200);
+  const toolCompletion = await toolTurn.json();
+  assert.strictEqual(toolCompletion.choices[0].message.tool_calls[0].function.name, "get_weather");
+  assert.strictEqual(toolCompletion.choices[0].finish_reason, "tool_calls");
+
+  // Streaming: the tool input arrives as message content
+  const { parseResponseFormat } = require('./lib/structured-output');
+  const state = transformer.codec.createStreamState(parseResponseFormat(responseFormat));
+  const chunks = [
+    { type: "message_start", message: { id: "msg_json", model: "claude-sonnet-4-5", usage: { input_tokens: 20 } } },
+    { type: "content_block_start", index: 0, content_block: { type: "tool_use", id: "toolu_json", name: "structured_output", input: {} } },
+    { type: "content_block_delta", index: 0, delta: { type: "input_json_delta", partial_json: '{"city": "Seoul", ' } },
+    { type: "content_block_delta", index: 0, delta: { type: "input_json_delta", partial_json: '"temperature": 3.5}' } },
+    { type: "content_block_stop", index: 0 },
+    { type: "message_delta", delta: { stop_reason: "tool_use" }, usage: { output_tokens: 10 } }
+  ].flatMap((event) => transformer.codec.processSSEEvent(event, state));
+  const content = chunks.map((chunk) => chunk.choices[0].delta.content || "").join("");
+  assert.strictEqual(content, '{"city":"Seoul","temperature":3.5}');
+  assert.ok(chunks.every((chunk) => !chunk.choices[0].delta.tool_calls));
+  assert.strictEqual(chunks[chunks.length - 1].choices[0].finish_reason, "stop");
+
+  // A stream that fails reports only its own error, not a format mismatch on top
+  const failedStream = await transformer.transformResponseOut(new Response([
+    { type: "message_start", message: { id: "msg_failed", model: "claude-sonnet-4-5", usage: { input_tokens: 20 } } },
+    { type: "error", error: { type: "overloaded_error", message: "Overloaded" } }
+  ].map((event) => `event: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`).join(""), {
+    headers: { "Content-Type": "text/event-stream" }
+  }), { req });
+  const failedErrors = (await failedStream.text()).split("\n\n")
+    .filter((event) => event.startsWith("data: {"))
+    .map((event) => JSON.parse(event.slice(6)))
+    .filter((event) => event.error);
+  assert.deepStrictEqual(failedErrors.map((event) => event.error.type), ["overloaded_error"]);
+
+  console.log("\n✅ Structured output passed!\n");
+}
+
+// Test per-provider tool schema normalization (MCP-style $ref / allOf / oneOf)
+async function testSchemaNormalization() {
+  console.log("=== Testing Schema Normalization ===\n");
+
+  const { normalizeSchema } = require('./lib/schema-normalizer');
+  const parameters = {
+    $schema: "http://json-schema.org/draft-07/schema#",
+    type: "object",
+    $defs: { Unit: { type: "string", enum: ["c", "f"] } },
+    properties: {
+      city: { type: "string", format: "hostname" },
+      unit: { $ref: "#/$defs/Unit" },
+      days: { type: ["integer", "null"] },
+      mode: { oneOf: [{ const: "fast" }, { const: "slow" }] }
+    },
+    allOf: [{ required: ["city"] }]
+  };
+
+  const transformer = new ClaudeAnthropicTransformer();
+  const { body } = await transformer.transformRequestIn({
+    model: "claude-sonnet-4-5",
+    messages: [{ role: "user", content: "Weather in Seoul?" }],
+    tools: [{ type: "function", function: { name: "get_weather", parameters } }]
+  }, {});
+  console.log("Anthropic:", JSON.stringify(body.tools[0].input_schema));
+  assert.deepStrictEqual(body.tools[0].input_schema, {
+    type: "object",
+    properties: {
+      city: { type: "string", format: "hostname" },
+      unit: { type: "string", enum: ["c", "f"] },
+      days: { type: ["integer", "null"] },
+      mode: { oneOf: [{ const: "fast" }, { const: "slow" }] }
+    },
+    required: ["city"]
+  });
+
+  const gemini = normalizeSchema(parameters, "gemini");
+  console.log("Gemini:", JSON.stringify(gemini.schema));
+  assert.deepStrictEqual(gemini.schema.properties, {
+    city: { type: "string" },
+    unit: { type: "string", enum: ["c", "f"] },
+    days: { type: "integer", nullable: true },
+    mode: { type: "string", enum: ["fast", "slow"] }
+  });
+  assert.ok(gemini.changes.includes("$.unit: resolved $ref #/$defs/Unit"));
+
+  // Self-referencing schemas are cut off instead of recursing forever, and nothing throws
+  const tree = { type: "object", properties: { children: { type: "array", items: { $ref: "#" } } } };
+  assert.strictEqual(normalizeSchema(tree, "openai").schema.type, "object");
+  assert.deepStrictEqual(normalizeSchema(undefined, "openai").schema, { type: "object", properties: {} });
+  assert.deepStrictEqual(normalizeSchema({ $ref: "#/missing" }, "gemini").schema, { type: "object", properties: {} });
+
+  console.log("\n✅ Schema normalization passed!\n");
+}
+
+// Test tool name sanitization and the reverse mapping of returned names
+async function testToolNameSanitization() {
+  console.log("=== Testing Tool Name Sanitization ===\n");
+
+  const transformer = new ClaudeAnthropicTransformer();
+  const longName = "mcp__workspace__" + "very_long_tool_name_".repeat(4);
+  // Separate hook contexts sharing `req`, see lib/request-state.js
+  const req = { id: "req_names" };
+  const { body } = await transformer.transformRequestIn({
+    model: "claude-sonnet-4-5",
+    messages: [
+      { role: "user", content: "Read the file" },
+      { role: "assistant", content: "", tool_calls: [{ id: "toolu_1", type: "function", function: { name: "fs.read/file", arguments: "{}" } }] },
+      { role: "tool", tool_call_id: "toolu_1", content: "ok" }
+    ],
+    tools: [
+      { type: "function", function: { name: "mcp__github__create_pull_request", parameters: { type: "object" } } },
+      { type: "function", function: { name: "fs.read/file", parameters: { type: "object" } } },
+      { type: "function", function: { name: longName, parameters: { type: "object" } } }
+    ],
+    tool_choice: { type: "function", function: { name: "fs.read/file" } }
+  }, {}, { req });
+
+  const names = body.tools.map((tool) => tool.name);
+  console.log("Names:", JSON.stringify(names));
+  assert.strictEqual(names[0], "mcp__github__create_pull_request");
+  assert.strictEqual(names[1], "fs_read_file");
+  assert.ok(names[2].length <= 64 && /^[a-zA-Z0-9_-]+$/.test(names[2]));
+  assert.deepStrictEqual(body.tool_choice, { type: "tool", name: "fs_read_file" });
+  assert.strictEqual(body.messages[1].content[0].name, "fs_read_file");
+
+  const reply = new Response(JSON.stringify({
+    id: "msg_names",
+    model: "claude-sonnet-4-5",
+    stop_reason: "tool_use",
+    content: [
+      { type: "tool_use", id: "toolu_2", name: "fs_read_file", input: {} },
+      { type: "tool_use", id: "toolu_3", name: names[2], input: {} }
+    ],
+    usage: { input_tokens: 20, output_tokens: 10 }
+  }), { headers: { "Content-Type": "application/json" } });
+  const completion = await (await transformer.transformResponseOut(reply, { req })).json();
+  assert.deepStrictEqual(
+    completion.choices[0].message.tool_calls.map((call) => call.function.name),
+    ["fs.read/file", longName]
+  );
+
+  // Streaming tool_use starts carry the original name as well
+  const sse = [
+    'event: message_start\ndata: {"type":"message_start","message":{"id":"msg_s","model":"claude-sonnet-4-5","usage":{"input_tokens":5}}}',
+    'event: content_block_start\ndata: {"type":"content_block_start","index":0,"content_block":{"type":"tool_use","id":"toolu_4","name":"fs_read_file","input":{}}}',
+    'event: content_block_stop\ndata: {"type":"content_block_stop","index":0}',
+    'event: message_delta\ndata: {"type":"message_delta","delta":{"stop_reason":"tool_use"},"usage":{"output_tokens":3}}'
+  ].join("\n\n") + "\n\n";
+  const streamed = await (await transformer.transformResponseOut(
+    new Response(sse, { headers: { "Content-Type": "text/event-stream" } }),
+    { req }
+  )).text();
+  const started = streamed.split("\n\n")
+    .filter((line) => line.startsWith("data: {"))
+    .map((line) => JSON.parse(line.slice(6)))
+    .find((chunk) => chunk.choices?.[0]?.delta?.tool_calls?.[0]?.id === "toolu_4");
+  assert.strictEqual(started.choices[0].delta.tool_calls[0].function.name, "fs.read/file");
+
+  // Pass-through transformers restore names the same way
+  const MoonshotOpenAITransformer = require('./moonshot-openai.js');
+  const moonshot = new MoonshotOpenAITransformer();
+  const moonshotReq = { id: "req_moonshot" };
+  await moonshot.transformRequestIn({
+    model: "kimi-k2",
+    messages: [{ role: "user", content: "Read the file" }],
+    tools: [{ type: "function", function: { name: "fs.read/file", parameters: { type: "object" } } }]
+  }, { api_base_url: "https://api.moonshot.ai/v1" }, { req: moonshotReq });
+  const moonshotReply = new Response(JSON.stringify({
+    choices: [{ index: 0, message: { role: "assistant", tool_calls: [{ id: "call_1", type: "function", function: { name: "fs_read_file", arguments: "{}" } }] } }]
+  }), { headers: { "Content-Type": "application/json", "Content-Length": "999", "Content-Encoding": "gzip" } });
+  const moonshotResponse = await moonshot.transformResponseOut(moonshotReply, { req: moonshotReq });
+  // The rewritten body must not inherit the upstream length and encoding
+  assert.strictEqual(moonshotResponse.headers.get("Content-Length"), null);
+  assert.strictEqual(moonshotResponse.headers.get("Content-Encoding"), null);
+  const moonshotCompletion = await moonshotResponse.json();
+  assert.strictEqual(moonshotCompletion.choices[0].message.tool_calls[0].function.name, "fs.read/file");
+
+  console.log("\n✅ Tool name sanitization passed!\n");
+}
+
+// Test conversation repair for interrupted tool calls and malformed turns
+async function testConversationRepair() {
+  console.log("=== Testing Conversation Repair ===\n");
+
+  const { repairGeminiContents } = require('./lib/conversation-repair');
+  const transformer = new ClaudeAnthropicTransformer();
+  const { body } = await transformer.transformRequestIn({
+    model: "claude-sonnet-4-5",
+    messages: [
+      { role: "user", content: "List the files" },
+      { role: "user", content: [{ type: "text", text: "" }, null, { type: "text", text: "in src" }] },
+      {
+        role: "assistant",
+        content: "",
+        tool_calls: [
+          { id: "toolu_1", type: "function", function: { name: "Glob", arguments: "{}" } },
+          { id: "toolu_2", type: "function", function: { name: "Bash", arguments: "{}" } }
+        ]
+      },
+      { role: "tool", tool_call_id: "toolu_1", content: "a.js" },
+      { role: "user", content: "[Request interrupted by user]" },
+      { role: "tool", tool_call_id: "toolu_stale", content: "late output" },
+      { role: "assistant", content: "" },
+      { role: "user", content: "Go on" }
+    ]
+  }, {});
+
+  console.log("Messages:", JSON.stringify(body.messages));
+  assert.deepStrictEqual(body.messages.map((m) => m.role), ["user", "assistant", "user"]);
+  assert.deepStrictEqual(body.messages[0].content, [
+    { type: "text", text: "List the files" },
+    { type: "text", text: "in src" }
+  ]);
+  const results = body.messages[2].content;
+  assert.deepStrictEqual(results.slice(0, 2).map((block) => [block.type, block.tool_use_id]), [
+    ["tool_result", "toolu_1"],
+    ["tool_result", "toolu_2"]
+  ]);
+  assert.strictEqual(results[1].content, "[Tool call interrupted: no result was returned]");
+  assert.deepStrictEqual(results.slice(2).map((block) => block.text), [
+    "[Request interrupted by user]",
+    "[tool result toolu_stale]\nlate output",
+    "Go on"
+  ]);
+
+  // Gemini: unsupported content leaves undefined parts and empty turns behind
+  const contents = repairGeminiContents([
+    { role: "user", parts: [{ text: "hi" }, undefined] },
+    { role: "model", parts: [undefined] },
+    { role: "user", parts: [{ text: "again" }] }
+  ]);
+  assert.deepStrictEqual(contents, [{ role: "user", parts: [{ text: "hi" }, { text: "again" }] }]);
+
+  // Repair and tool name sanitization together: placeholder results and merged
+  // turns still pair every tool_use with a tool_result under the sanitized name
+  const tools = ["fs.read/file", "fs.write/file"].map((name) => ({ type: "function", function: { name, parameters: { type: "object" } } }));
+  const history = [
+    { role: "user", content: "Copy a.js to b.js" },
+    {
+      role: "assistant",
+      content: "",
+      tool_calls: [
+        { id: "toolu_read", type: "function", function: { name: "fs.read/file", arguments: '{"path": "a.js"}' } },
+        { id: "toolu_write", type: "function", function: { name: "fs.write/file", arguments: '{"path": "b.js"' } }
+      ]
+    },
+    { role: "tool", tool_call_id: "toolu_read", content: "console.log(1)" },
+    { role: "user", content: "[Request interrupted by user]" },
+    { role: "user", content: "Try again" }
+  ];
+  const req = { id: "req_repair_names" };
+  const { body: combined } = await transformer.transformRequestIn({ model: "claude-sonnet-4-5", messages: history, tools }, {}, { req });
+  console.log("Combined:", JSON.stringify(combined.messages));
+  assert.deepStrictEqual(combined.messages.map((m) => m.role), ["user", "assistant", "user"]);
+  const toolNames = combined.tools.map((tool) => tool.name);
+  const uses = combined.messages[1].content.filter((block) => block.type === "tool_use");
+  const resultIds = combined.messages[2].content.filter((block) => block.type === "tool_result").map((block) => block.tool_use_id);
+  assert.deepStrictEqual(uses.map((block) => block.id), resultIds);
+  assert.ok(uses.every((block) => toolNames.includes(block.name) && /^[a-zA-Z0-9_-]+$/.test(block.name)));
+  assert.strictEqual(combined.messages[2].content[1].content, "[Tool call interrupted: no result was returned]");
+
+  // The OpenAI-style path keeps tool_calls and tool messages paired the same way
+  const MoonshotOpenAITransformer = require('./moonshot-openai.js');
+  const { body: chat } = await new MoonshotOpenAITransformer().transformRequestIn(
+    { model: "kimi-k2", messages: history, tools },
+    { api_base_url: "https://api.moonshot.ai/v1" },
+    { req: { id: "req_repair_names_chat" } }
+  );
+  const assistantIndex = chat.messages.findIndex((m) => m.tool_calls);
+  const calls = chat.messages[assistantIndex].tool_calls;
+  const toolMessages = chat.messages.slice(assistantIndex + 1, assistantIndex + 1 + calls.length);
+  assert.deepStrictEqual(toolMessages.map((m) => [m.role, m.tool_call_id]), calls.map((call) => ["tool", call.id]));
+  assert.ok(calls.every((call) => chat.tools.some((tool) => tool.function.name === call.function.name)));
+  assert.ok(calls.every((call) => /^[a-zA-Z0-9_-]+$/.test(call.function.name)));
+
+  console.log("\n✅ Conversation repair passed!\n");
+}
+
+// Test tolerant parsing of malformed tool arguments and checks on streamed ones
+async function testToolArgumentRepair() {
+  console.log("=== Testing Tool Argument Repair ===\n");
+
+  const { repairJson, checkToolArguments } = require('./lib/tool-arguments');
+  const { requestState } = require('./lib/request-state');
+  assert.strictEqual(repairJson('{"path": "a.js", "content": "hel'), '{"path": "a.js", "content": "hel"}');
+  assert.strictEqual(repairJson('{"items": [1, 2,'), '{"items": [1, 2]}');
+  assert.strictEqual(repairJson('{"a": 1,}'), '{"a": 1}');
+  assert.strictEqual(repairJson('{"force": tr'), '{"force": true}');
+  assert.strictEqual(repairJson("not json"), undefined);
+
+  // A truncated call in the history no longer breaks the request
+  const transformer = new ClaudeAnthropicTransformer();
+  const tools = [{
+    type: "function",
+    function: {
+      name: "Write",
+      parameters: {
+        type: "object",
+        properties: { file_path: { type: "string" }, content: { type: "string" } },
+        required: ["file_path", "content"]
+      }
+    }
+  }];
+  const history = (args) => [
+    { role: "user", content: "Write it" },
+    { role: "assistant", content: "", tool_calls: [{ id: "toolu_1", type: "function", function: { name: "Write", arguments: args } }] },
+    { role: "tool", tool_call_id: "toolu_1", content: "done" }
+  ];
+  const encode = async (args) => (await transformer.transformRequestIn({
+    model: "claude-sonnet-4-5",
+    messages: history(args),
+    tools
+  }, {})).body.messages[1].content[0].input;
+  assert.deepStrictEqual(await encode('{"file_path": "a.js", "content": "hel'), { file_path: "a.js", content: "hel" });
+  assert.deepStrictEqual(await encode("<<garbage>>"), { raw_arguments: "<<garbage>>" });
+
+  // Streamed arguments are handed back whole, repaired when max_tokens cut them off
+  const req = { id: "req_arguments" };
+  await transformer.transformRequestIn({ model: "claude-sonnet-4-5", messages: history("{}"), tools, stream: true }, {}, { req });
+  const { toolNames, toolSchemas } = requestState({ req });
+  const state = transformer.codec.createStreamState(undefined, toolNames, toolSchemas);
+  const chunks = [
+    { type: "message_start", message: { id: "msg_cut", model: "claude-sonnet-4-5", usage: { input_tokens: 20 } } },
+    { type: "content_block_start", index: 0, content_block: { type: "tool_use", id: "toolu_2", name: "Write", input: {} } },
+    { type: "content_block_delta", index: 0, delta: { type: "input_json_delta", partial_json: '{"file_path": "b.js", ' } },
+    { type: "content_block_delta", index: 0, delta: { type: "input_json_delta", partial_json: '"content": "lon' } },
+    { type: "message_delta", delta: { stop_reason: "max_tokens" }, usage: { output_tokens: 4096 } }
+  ].flatMap((event) => transformer.codec.processSSEEvent(event, state));
+  const toolCalls = accumulateToolCalls(chunks);
+  console.log("Streamed:", JSON.stringify(toolCalls));
+  assert.deepStrictEqual(toolCalls, [{ id: "toolu_2", name: "Write", arguments: '{"file_path":"b.js","content":"lon"}' }]);
+  assert.strictEqual(chunks[chunks.length - 1].choices[0].finish_reason, "length");
+
+  // Values of the wrong type are coerced to the schema; the rest is passed on as is
+  const schema = {
+    type: "object",
+    properties: {
+      limit: { type: "integer" },
+      ratio: { type: "number" },
+      recursive: { type: "boolean" },
+      paths: { type: "array", items: { type: "string" } },
+      options: { type: "object", properties: { depth: { type: "integer" } } },
+      name: { type: "string" }
+    }
+  };
+  assert.deepStrictEqual(checkToolArguments({
+    limit: "10",
+    ratio: " 0.5 ",
+    recursive: "false",
+    paths: "src",
+    options: '{"depth": "2"}',
+    name: "42"
+  }, schema, "Search"), { limit: 10, ratio: 0.5, recursive: false, paths: ["src"], options: { depth: 2 }, name: "42" });
+  assert.deepStrictEqual(checkToolArguments({ limit: "1.5", paths: '["a", "b"]' }, schema, "Search"), { limit: "1.5", paths: ["a", "b"] });
+
+  // Coercion also applies to responses transformed under a separate hook context
+  const searchReq = { id: "req_coerce" };
+  await transformer.transformRequestIn({
+    model: "claude-sonnet-4-5",
+    messages: [{ role: "user", content: "Search" }],
+    tools: [{ type: "function", function: { name: "Search", parameters: schema } }]
+  }, {}, { req: searchReq });
+  const coerced = await (await transformer.transformResponseOut(new Response(JSON.stringify({
+    id: "msg_coerce",
+    model: "claude-sonnet-4-5",
+    stop_reason: "tool_use",
+    content: [{ type: "tool_use", id: "toolu_search", name: "Search", input: { limit: "5", paths: "lib" } }],
+    usage: { input_tokens: 10, output_tokens: 5 }
+  }), { headers: { "Content-Type": "application/json" } }), { req: searchReq })).json();
+  assert.strictEqual(coerced.choices[0].message.tool_calls[0].function.arguments, '{"limit":5,"paths":["lib"]}');
+
+  console.log("\n✅ Tool argument repair passed!\n");
+}
+
+// Test multimodal tool results (screenshots) and the follow-up message fallback
+async function testRichToolResults() {
+  console.log("=== Testing Rich Tool Results ===\n");
+
+  const png = "iVBORw0KGgoAAAANSUhEUg==";
+  const messages = [
+    { role: "user", content: "Take a screenshot" },
+    { role: "assistant", content: "", tool_calls: [{ id: "toolu_shot", type: "function", function: { name: "screenshot", arguments: "{}" } }] },
+    {
+      role: "tool",
+      tool_call_id: "toolu_shot",
+      content: [
+        { type: "text", text: "Captured 1280x720" },
+        { type: "image_url", image_url: { url: `data:image/png;base64,${png}` } },
+        { type: "resource", resource: { uri: "file:///tmp/shot.png" } }
+      ]
+    }
+  ];
+
+  const transformer = new ClaudeAnthropicTransformer();
+  const { body } = await transformer.transformRequestIn({ model: "claude-sonnet-4-5", messages }, {});
+  const toolResult = body.messages[2].content[0];
+  console.log("tool_result:", JSON.stringify(toolResult));
+  assert.deepStrictEqual(toolResult.content, [
+    { type: "text", text: "Captured 1280x720" },
+    { type: "image", source: { type: "base64", media_type: "image/png", data: png } },
+    { type: "text", text: '{"type":"resource","resource":{"uri":"file:///tmp/shot.png"}}' }
+  ]);
+
+  // Providers without images in tool results get them in a user message instead
+  const fallback = new ClaudeAnthropicTransformer({ capabilities: { "*": { tool_result_images: false } } });
+  const moved = (await fallback.transformRequestIn({ model: "claude-sonnet-4-5", messages }, {})).body.messages[2].content;
+  console.log("Fallback:", JSON.stringify(moved));
+  assert.strictEqual(moved[0].type, "tool_result");
+  assert.ok(moved[0].content.every((block) => block.type === "text"));
+  assert.deepStrictEqual(moved.slice(1), [
+    { type: "text", text: "[image(s) returned by tool call toolu_shot]" },
+    { type: "image", source: { type: "base64", media_type: "image/png", data: png } }
+  ]);
+
+  console.log("\n✅ Rich tool results passed!\n");
+}
+
+async function testDocuments() {
+  console.log("=== Testing Document Input ===\n");
+
+  const zlib = require('zlib');
+  const { extractPdfText } = require('./lib/pdf-text');
+  const stream = zlib.deflateSync("BT /F1 12 Tf 72 720 Td (Release \\(v2\\) notes) Tj 0 -14 Td [(Sec)20(tion)-400(two)] TJ ET");
+  const pdfBuffer = Buffer.concat([
+    Buffer.from(`%PDF-1.4\n4 0 obj\n<< /Length ${stream.length} /Filter /FlateDecode >>\nstream\n`),
+    stream,
+    Buffer.from("\nendstream\nendobj\n%%EOF\n")
+  ]);
+  assert.strictEqual(extractPdfText(pdfBuffer), "Release (v2) notes\nSection two");
+
+  // A UTF-16 string cut in the middle of a code unit keeps its whole characters
+  const utf16 = "BT (\xfe\xff\x00H\x00i\x00) Tj ET";
+  assert.strictEqual(extractPdfText(Buffer.from(
+    `%PDF-1.4\n4 0 obj\n<< /Length ${utf16.length} >>\nstream\n${utf16}\nendstream\nendobj\n%%EOF\n`,
+    "latin1"
+  )), "Hi");
+
+  // A PDF the extractor fails on becomes a note instead of failing the request
+  const { documentToText } = require('./lib/documents');
+  assert.deepStrictEqual(
+    documentToText({ kind: "pdf", mediaType: "application/pdf", data: 42, title: "bad.pdf" }),
+    { type: "text", text: "[Document: bad.pdf omitted: the PDF could not be read]" }
+  );
+
+  // Bad percent-encoding keeps the raw payload; unknown files without a type are binary
+  const { parseDocument } = require('./lib/documents');
+  assert.deepStrictEqual(
+    parseDocument({ type: "file", file: { filename: "progress.txt", file_data: "data:text/plain,100%" } }),
+    { kind: "text", mediaType: "text/plain", text: "100%", title: "progress.txt" }
+  );
+  const unknown = parseDocument({ type: "file", file: { filename: "blob.bin", file_data: Buffer.from([0, 1, 2]).toString("base64") } });
+  assert.strictEqual(unknown.kind, "binary");
+  assert.deepStrictEqual(documentToText(unknown), {
+    type: "text",
+    text: "[Document: blob.bin omitted: application/octet-stream files are not supported]"
+  });
+  // Untyped data that starts like a PDF is still read as one
+  assert.strictEqual(parseDocument({ type: "file", file: { file_data: pdfBuffer.toString("base64") } }).kind, "pdf");
+
+  const pdf = pdfBuffer.toString("base64");
+  const messages = [{
+    role: "user",
+    content: [
+      { type: "text", text: "Summarize these" },
+      { type: "file", file: { filename: "release.pdf", file_data: `data:application/pdf;base64,${pdf}` } },
+      { type: "file", file: { filename: "notes.md", file_data: `data:text/markdown;base64,${Buffer.from("# Notes").toString("base64")}` } }
+    ]
+  }];
+
+  const transformer = new ClaudeAnthropicTransformer();
+  const content = (await transformer.transformRequestIn({ model: "claude-sonnet-4-5", messages }, {})).body.messages[0].content;
+  assert.deepStrictEqual(content.slice(1), [
+    { type: "document", source: { type: "base64", media_type: "application/pdf", data: pdf }, title: "release.pdf" },
+    { type: "document", source: { type: "text", media_type: "text/plain", data: "# Notes" }, title: "notes.md" }
+  ]);
+  console.log("Documents:", JSON.stringify(content.slice(2)));
+
+  // Providers without document input get the text, extracted locally
+  const fallback = new ClaudeAnthropicTransformer({ capabilities: { "*": { documents: false } } });
+  const text = (await fallback.transformRequestIn({ model: "claude-sonnet-4-5", messages }, {})).body.messages[0].content;
+  console.log("Fallback:", JSON.stringify(text.slice(1)));
+  assert.deepStrictEqual(text.slice(1), [
+    { type: "text", text: "[Document: release.pdf]\nRelease (v2) notes\nSection two" },
+    { type: "text", text: "[Document: notes.md]\n# Notes" }
+  ]);
+
+  console.log("\n✅ Document input passed!\n");
+}
+
 // Run all tests
 async function runTests() {
   console.log("╔════════════════════════════════════════════╗");
@@ -225,6 +1255,20 @@ async function runTests() {
     await testRequestTransform();
     testSSEProcessing();
     testToolUseTransform();
+    await testThinkingSignatureRoundTrip();
+    await testInterleavedParallelToolCalls();
+    await testUpstreamErrors();
+    await testPromptCaching();
+    await testThinkingPolicy();
+    await testCapabilities();
+    await testToolChoice();
+    await testStructuredOutput();
+    await testSchemaNormalization();
+    await testToolNameSanitization();
+    await testConversationRepair();
+    await testToolArgumentRepair();
+    await testRichToolResults();
+    await testDocuments();
     
     console.log("═══════════════════════════════════════════");
     console.log("✅ All tests passed!");
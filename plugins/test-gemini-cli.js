@@ -0,0 +1,459 @@
+/**
+ * Test script for gemini-cli.js transformer
+ */
+
+const assert = require('assert');
+const GeminiCLITransformer = require('./gemini-cli.js');
+const { THOUGHT_SIGNATURE_PREFIX } = require('./lib/thinking-signature');
+
+// Transformer with a valid token, so no OAuth refresh is attempted
+function createTransformer(options = {}) {
+  const transformer = new GeminiCLITransformer({ project: "test-project", ...options });
+  transformer.oauth_creds = { access_token: "test-token", expiry_date: Date.now() + 3600 * 1000 };
+  transformer.logger = { debug() {}, warn() {}, error() {} };
+  return transformer;
+}
+
+// Code Assist wraps each GenerateContentResponse in { response }
+function jsonReply(response) {
+  return new Response(JSON.stringify({ response }), { headers: { "Content-Type": "application/json" } });
+}
+
+function sseReply(responses) {
+  const body = responses.map((response) => `data: ${JSON.stringify({ response })}\n\n`).join("");
+  return new Response(body, { headers: { "Content-Type": "text/event-stream" } });
+}
+
+// Parse the data events of a transformed stream
+async function readEvents(response) {
+  return (await response.text())
+    .split("\n\n")
+    .filter((event) => event.startsWith("data: ") && event !== "data: [DONE]")
+    .map((event) => JSON.parse(event.slice(6)));
+}
+
+const readTool = {
+  type: "function",
+  function: {
+    name: "read_file",
+    parameters: { type: "object", properties: { path: { type: "string" } }, required: ["path"] }
+  }
+};
+
+// Test thoughtSignature on function calls: kept on the way out, sent back on the way in
+async function testThoughtSignatureRoundTrip() {
+  console.log("=== Testing Thought Signature Round-Trip ===\n");
+
+  const transformer = createTransformer();
+  const req = { id: "req_signature" };
+  await transformer.transformRequestIn({
+    model: "gemini-3-pro-preview",
+    messages: [{ role: "user", content: "Read a.js" }],
+    tools: [readTool]
+  }, {}, { req });
+
+  const callPart = { functionCall: { id: "call_1", name: "read_file", args: { path: "a.js" } }, thoughtSignature: "sig_abc" };
+  const completion = await (await transformer.transformResponseOut(jsonReply({
+    responseId: "resp_1",
+    modelVersion: "gemini-3-pro-preview",
+    candidates: [{ content: { role: "model", parts: [callPart] }, finishReason: "STOP" }]
+  }), { req })).json();
+  const message = completion.choices[0].message;
+  const toolCall = message.tool_calls[0];
+  console.log("Message:", JSON.stringify(message));
+  assert.deepStrictEqual(toolCall, {
+    id: "call_1",
+    type: "function",
+    function: { name: "read_file", arguments: '{"path":"a.js"}' }
+  });
+  // The router only keeps thinking.signature across turns, so that is where the signature goes
+  assert.ok(message.thinking.signature.startsWith(THOUGHT_SIGNATURE_PREFIX));
+
+  // Streaming: the signature arrives as delta.thinking ahead of the call
+  const events = await readEvents(await transformer.transformResponseOut(sseReply([
+    { responseId: "resp_2", candidates: [{ content: { role: "model", parts: [callPart] }, finishReason: "STOP" }] }
+  ]), { req }));
+  assert.strictEqual(events[0].choices[0].delta.thinking.signature, message.thinking.signature);
+  assert.strictEqual(events[0].choices[0].delta.tool_calls, undefined);
+  assert.strictEqual(events[1].choices[0].delta.tool_calls[0].id, "call_1");
+
+  // Claude Code echoes the thinking block and the router hands it back as
+  // message.thinking; the signature goes back on the matching part. Calls
+  // without one get the documented placeholder on the first call of the step only
+  const { body } = await transformer.transformRequestIn({
+    model: "gemini-3-pro-preview",
+    messages: [
+      { role: "user", content: "Read a.js" },
+      {
+        role: "assistant",
+        content: "",
+        thinking: { content: "", signature: events[0].choices[0].delta.thinking.signature },
+        tool_calls: [{ id: "call_1", type: "function", function: { name: "read_file", arguments: '{"path":"a.js"}' } }]
+      },
+      { role: "tool", tool_call_id: "call_1", content: "console.log(1)" },
+      {
+        role: "assistant",
+        content: "",
+        tool_calls: [
+          { id: "call_2", type: "function", function: { name: "read_file", arguments: '{"path":"b.js"}' } },
+          { id: "call_3", type: "function", function: { name: "read_file", arguments: '{"path":"c.js"}' } }
+        ]
+      },
+      { role: "tool", tool_call_id: "call_2", content: "b" },
+      { role: "tool", tool_call_id: "call_3", content: "c" }
+    ],
+    tools: [readTool]
+  }, {}, { req: { id: "req_signature_2" } });
+  const modelTurns = body.request.contents.filter((content) => content.role === "model");
+  assert.strictEqual(modelTurns[0].parts[0].thoughtSignature, "sig_abc");
+  assert.strictEqual(modelTurns[1].parts[0].thoughtSignature, "skip_thought_signature_validator");
+  assert.strictEqual(modelTurns[1].parts[1].thoughtSignature, undefined);
+
+  console.log("\n✅ Thought signature round-trip passed!\n");
+}
+
+// Test tool results as functionResponse parts, grouped per model turn
+async function testFunctionResponses() {
+  console.log("=== Testing Function Responses ===\n");
+
+  const transformer = createTransformer();
+  const { body } = await transformer.transformRequestIn({
+    model: "gemini-2.5-pro",
+    messages: [
+      { role: "user", content: "Read both files" },
+      {
+        role: "assistant",
+        content: "",
+        tool_calls: [
+          { id: "call_a", type: "function", function: { name: "read_file", arguments: '{"path":"a.json"}' } },
+          { id: "call_b", type: "function", function: { name: "read_file", arguments: '{"path":"b.txt"}' } }
+        ]
+      },
+      { role: "tool", tool_call_id: "call_a", content: '{"version": 2}' },
+      { role: "tool", tool_call_id: "call_b", content: [{ type: "text", text: "plain text" }] },
+      { role: "user", content: "Compare them" }
+    ],
+    tools: [readTool]
+  }, {}, { req: { id: "req_function_response" } });
+
+  const contents = body.request.contents;
+  console.log("Contents:", JSON.stringify(contents));
+  assert.deepStrictEqual(contents.map((content) => content.role), ["user", "model", "user"]);
+  // Both results share one user turn (the follow-up text is merged into it);
+  // JSON output is passed as the response object, names come from the calls
+  assert.deepStrictEqual(contents[2].parts, [
+    { functionResponse: { id: "call_a", name: "read_file", response: { version: 2 } } },
+    { functionResponse: { id: "call_b", name: "read_file", response: { output: "plain text" } } },
+    { text: "Compare them" }
+  ]);
+
+  console.log("\n✅ Function responses passed!\n");
+}
+
+// Test systemInstruction and generationConfig
+async function testGenerationConfig() {
+  console.log("=== Testing System Instruction and Generation Config ===\n");
+
+  const transformer = createTransformer();
+  const schema = {
+    type: "object",
+    properties: { city: { type: "string" }, days: { type: "integer" } },
+    required: ["city"]
+  };
+  const { body } = await transformer.transformRequestIn({
+    model: "gemini-2.5-flash",
+    messages: [
+      { role: "system", content: "You are Claude Code." },
+      { role: "system", content: [{ type: "text", text: "Be brief." }] },
+      { role: "user", content: "Forecast for Seoul" }
+    ],
+    temperature: 0.2,
+    top_p: 0.9,
+    max_tokens: 512,
+    stop: "END",
+    response_format: { type: "json_schema", json_schema: { name: "forecast", schema } }
+  }, {}, { req: { id: "req_generation" } });
+
+  const request = body.request;
+  console.log("Request:", JSON.stringify(request, null, 2));
+  assert.deepStrictEqual(request.systemInstruction, { parts: [{ text: "You are Claude Code." }, { text: "Be brief." }] });
+  assert.deepStrictEqual(request.contents, [{ role: "user", parts: [{ text: "Forecast for Seoul" }] }]);
+  const { thinkingConfig, responseSchema, ...sampling } = request.generationConfig;
+  assert.deepStrictEqual(sampling, {
+    temperature: 0.2,
+    topP: 0.9,
+    maxOutputTokens: 512,
+    stopSequences: ["END"],
+    responseMimeType: "application/json"
+  });
+  assert.strictEqual(responseSchema.type, "OBJECT");
+  assert.strictEqual(responseSchema.properties.days.type, "INTEGER");
+  assert.deepStrictEqual(responseSchema.required, ["city"]);
+
+  console.log("\n✅ System instruction and generation config passed!\n");
+}
+
+// Test that Gemini 3 handling follows the capability registry, not the model name
+async function testGemini3FromRegistry() {
+  console.log("=== Testing Gemini 3 Detection ===\n");
+
+  const history = [
+    { role: "user", content: "Take a screenshot" },
+    { role: "assistant", content: "", tool_calls: [{ id: "call_1", type: "function", function: { name: "screenshot", arguments: "{}" } }] },
+    { role: "tool", tool_call_id: "call_1", content: [{ type: "image_url", image_url: { url: "data:image/png;base64,iVBOR" } }] }
+  ];
+  const warnings = [];
+  const transformer = createTransformer({
+    capabilities: {
+      "gemini-exp-1206": { thinking: "level" },
+      "gemini-3-lite": { thinking: "budget" }
+    }
+  });
+  transformer.logger.warn = (details) => warnings.push(details);
+  const send = async (model) => (await transformer.transformRequestIn(
+    { model, messages: history, reasoning_effort: "high" },
+    {},
+    { req: { id: `req_${model}` } }
+  )).body.request;
+
+  // Declared "level": Gemini 3 handling without "gemini-3" in the name
+  const declared = await send("gemini-exp-1206");
+  assert.strictEqual(declared.contents[1].parts[0].thoughtSignature, "skip_thought_signature_validator");
+  assert.strictEqual(declared.contents[2].parts[0].functionResponse.parts[0].inlineData.mimeType, "image/png");
+  assert.deepStrictEqual(declared.generationConfig.thinkingConfig, { includeThoughts: true, thinkingLevel: "high" });
+
+  // Declared "budget" wins over a Gemini 3 looking name
+  const budget = await send("gemini-3-lite");
+  assert.strictEqual(budget.contents[1].parts[0].thoughtSignature, undefined);
+  assert.strictEqual(budget.contents[2].parts[0].functionResponse.parts, undefined);
+  assert.deepStrictEqual(budget.generationConfig.thinkingConfig, { includeThoughts: true, thinkingBudget: 24576 });
+  assert.deepStrictEqual(warnings, []);
+
+  // Undeclared models fall back to the name, with one warning per model
+  const guessed = await send("gemini-3-pro-preview");
+  await send("gemini-3-pro-preview");
+  assert.strictEqual(guessed.contents[1].parts[0].thoughtSignature, "skip_thought_signature_validator");
+  assert.deepStrictEqual(warnings, [{ model: "gemini-3-pro-preview", thinking: "level" }]);
+
+  console.log("\n✅ Gemini 3 detection passed!\n");
+}
+
+// Test tool declarations: normalized schemas are sent as OpenAPI `parameters`
+async function testToolDeclarations() {
+  console.log("=== Testing Tool Declarations ===\n");
+
+  const transformer = createTransformer();
+  const { body } = await transformer.transformRequestIn({
+    model: "gemini-2.5-flash",
+    messages: [{ role: "user", content: "Search" }],
+    tools: [{
+      type: "function",
+      function: {
+        name: "search",
+        description: "Search the codebase",
+        parameters: {
+          $schema: "http://json-schema.org/draft-07/schema#",
+          type: "object",
+          properties: {
+            query: { $ref: "#/$defs/query" },
+            mode: { const: "fast" },
+            limit: { type: ["integer", "null"] }
+          },
+          required: ["query"],
+          additionalProperties: false,
+          $defs: { query: { type: "string", minLength: 1 } }
+        }
+      }
+    }]
+  }, {}, { req: { id: "req_tools" } });
+
+  const declaration = body.request.tools[0].functionDeclarations[0];
+  console.log("Declaration:", JSON.stringify(declaration));
+  assert.strictEqual(declaration.parametersJsonSchema, undefined);
+  assert.deepStrictEqual(declaration.parameters, {
+    type: "OBJECT",
+    properties: {
+      query: { type: "STRING", minLength: 1 },
+      mode: { type: "STRING", enum: ["fast"] },
+      limit: { type: "INTEGER", nullable: true }
+    },
+    required: ["query"]
+  });
+
+  console.log("\n✅ Tool declarations passed!\n");
+}
+
+// Test thinkingConfig mapping and thought parts as thinking
+async function testThinking() {
+  console.log("=== Testing Thinking ===\n");
+
+  const transformer = createTransformer({
+    capabilities: {
+      "gemini-2.5-pro": { thinking: "budget" },
+      "gemini-2.5-flash": { thinking: "budget" },
+      "gemini-3-pro-preview": { thinking: "level" }
+    }
+  });
+  const thinkingConfig = async (model, hints) => (await transformer.transformRequestIn(
+    { model, messages: [{ role: "user", content: "Think" }], ...hints },
+    {},
+    { req: {} }
+  )).body.request.generationConfig?.thinkingConfig;
+
+  // Gemini 2.5: token budgets from thinking, reasoning or an effort level
+  assert.deepStrictEqual(await thinkingConfig("gemini-2.5-flash", {}), { includeThoughts: true });
+  assert.deepStrictEqual(
+    await thinkingConfig("gemini-2.5-flash", { thinking: { type: "enabled", budget_tokens: 4000 } }),
+    { includeThoughts: true, thinkingBudget: 4000 }
+  );
+  assert.deepStrictEqual(
+    await thinkingConfig("gemini-2.5-flash", { reasoning: { max_tokens: 2000 } }),
+    { includeThoughts: true, thinkingBudget: 2000 }
+  );
+  assert.deepStrictEqual(
+    await thinkingConfig("gemini-2.5-flash", { reasoning_effort: "low" }),
+    { includeThoughts: true, thinkingBudget: 1024 }
+  );
+  // Disabled: Flash turns thinking off, Pro only goes down to its minimum budget
+  assert.deepStrictEqual(
+    await thinkingConfig("gemini-2.5-flash", { thinking: { type: "disabled" } }),
+    { includeThoughts: false, thinkingBudget: 0 }
+  );
+  assert.deepStrictEqual(
+    await thinkingConfig("gemini-2.5-pro", { reasoning_effort: "none" }),
+    { includeThoughts: false, thinkingBudget: 128 }
+  );
+
+  // Gemini 3: budgets map to a thinking level; it cannot turn thinking off
+  assert.deepStrictEqual(await thinkingConfig("gemini-3-pro-preview", {}), { includeThoughts: true });
+  assert.deepStrictEqual(
+    await thinkingConfig("gemini-3-pro-preview", { thinking: { type: "enabled", budget_tokens: 1024 } }),
+    { includeThoughts: true, thinkingLevel: "low" }
+  );
+  assert.deepStrictEqual(
+    await thinkingConfig("gemini-3-pro-preview", { reasoning: { effort: "medium" } }),
+    { includeThoughts: true, thinkingLevel: "high" }
+  );
+  assert.deepStrictEqual(
+    await thinkingConfig("gemini-3-pro-preview", { thinking: { type: "disabled" } }),
+    { includeThoughts: false, thinkingLevel: "low" }
+  );
+
+  // Thought parts become thinking, which the router shows; thought tokens are reasoning tokens
+  const parts = [{ text: "Let me think.", thought: true }, { text: "Done." }];
+  const usageMetadata = { promptTokenCount: 10, candidatesTokenCount: 5, thoughtsTokenCount: 20, totalTokenCount: 35 };
+  const completion = await (await transformer.transformResponseOut(jsonReply({
+    responseId: "resp_think",
+    modelVersion: "gemini-2.5-flash",
+    candidates: [{ content: { role: "model", parts }, finishReason: "STOP" }],
+    usageMetadata
+  }), { req: {} })).json();
+  console.log("Completion:", JSON.stringify(completion));
+  assert.strictEqual(completion.choices[0].message.content, "Done.");
+  assert.deepStrictEqual(completion.choices[0].message.thinking, { content: "Let me think." });
+  assert.strictEqual(completion.choices[0].message.reasoning_content, undefined);
+  assert.deepStrictEqual(completion.usage, {
+    completion_tokens: 25,
+    prompt_tokens: 10,
+    total_tokens: 35,
+    completion_tokens_details: { reasoning_tokens: 20 }
+  });
+
+  const events = await readEvents(await transformer.transformResponseOut(sseReply([
+    { responseId: "resp_think", candidates: [{ content: { role: "model", parts: [parts[0]] } }] },
+    { responseId: "resp_think", candidates: [{ content: { role: "model", parts: [parts[1]] }, finishReason: "STOP" }], usageMetadata }
+  ]), { req: {} }));
+  assert.deepStrictEqual(events.map((event) => event.choices[0].delta.thinking), [{ content: "Let me think." }, undefined, undefined]);
+  assert.strictEqual(events[1].choices[0].delta.content, "");
+  assert.strictEqual(events[2].choices[0].delta.content, "Done.");
+  assert.deepStrictEqual(events[2].usage.completion_tokens_details, { reasoning_tokens: 20 });
+
+  // Thoughts and a signed call in one chunk: content, then the signature, then the call
+  const mixed = await readEvents(await transformer.transformResponseOut(sseReply([
+    {
+      responseId: "resp_mixed",
+      candidates: [{
+        content: { role: "model", parts: [parts[0], { functionCall: { id: "call_1", name: "read_file", args: {} }, thoughtSignature: "sig_abc" }] },
+        finishReason: "STOP"
+      }]
+    }
+  ]), { req: {} }));
+  assert.deepStrictEqual(Object.keys(mixed[0].choices[0].delta.thinking), ["content"]);
+  assert.deepStrictEqual(Object.keys(mixed[1].choices[0].delta.thinking), ["signature"]);
+  assert.strictEqual(mixed[2].choices[0].delta.tool_calls[0].id, "call_1");
+  assert.strictEqual(mixed[2].choices[0].delta.thinking, undefined);
+
+  console.log("\n✅ Thinking passed!\n");
+}
+
+// Test response_format validation: mismatches are errors, tool-call turns are not checked
+async function testResponseFormatCheck() {
+  console.log("=== Testing Response Format Check ===\n");
+
+  const transformer = createTransformer({ validateResponseFormat: true });
+  const schema = { type: "object", properties: { city: { type: "string" } }, required: ["city"] };
+  // Separate contexts per hook, as the router creates them
+  const req = { id: "req_format" };
+  await transformer.transformRequestIn({
+    model: "gemini-2.5-flash",
+    messages: [{ role: "user", content: "Where is it?" }],
+    tools: [readTool],
+    response_format: { type: "json_schema", json_schema: { name: "place", schema } }
+  }, {}, { req });
+  const reply = (parts) => ({ responseId: "resp_format", candidates: [{ content: { role: "model", parts }, finishReason: "STOP" }] });
+
+  const valid = await transformer.transformResponseOut(jsonReply(reply([{ text: '{"city": "Seoul"}' }])), { req });
+  assert.strictEqual(valid.status, 200);
+
+  const invalid = await transformer.transformResponseOut(jsonReply(reply([{ text: '{"town": "Seoul"}' }])), { req });
+  assert.strictEqual(invalid.status, 500);
+  assert.strictEqual((await invalid.json()).error.code, "response_format_mismatch");
+
+  // A turn that calls a tool is not the final answer yet
+  const toolPart = { functionCall: { id: "call_1", name: "read_file", args: { path: "a.js" } } };
+  const toolTurn = await transformer.transformResponseOut(jsonReply(reply([toolPart])), { req });
+  assert.strictEqual(toolTurn.status, 200);
+  assert.strictEqual((await toolTurn.json()).choices[0].message.tool_calls[0].function.name, "read_file");
+
+  // Streaming reports a mismatch as a final error event, but not for tool calls
+  const streamed = await readEvents(await transformer.transformResponseOut(sseReply([reply([{ text: "not json" }])]), { req }));
+  assert.strictEqual(streamed[streamed.length - 1].error.code, "response_format_mismatch");
+  const streamedTool = await readEvents(await transformer.transformResponseOut(sseReply([reply([toolPart])]), { req }));
+  assert.ok(streamedTool.every((event) => !event.error));
+
+  // A stream error is the only error reported
+  const failedBody = `data: ${JSON.stringify({ error: { code: 429, message: "Quota exceeded", status: "RESOURCE_EXHAUSTED" } })}\n\n`;
+  const failed = await readEvents(await transformer.transformResponseOut(
+    new Response(failedBody, { headers: { "Content-Type": "text/event-stream" } }), { req }
+  ));
+  assert.strictEqual(failed.filter((event) => event.error).length, 1);
+  assert.notStrictEqual(failed[0].error.code, "response_format_mismatch");
+
+  console.log("\n✅ Response format check passed!\n");
+}
+
+// Run all tests
+async function runTests() {
+  console.log("╔════════════════════════════════════════════╗");
+  console.log("║   Gemini CLI Transformer Tests             ║");
+  console.log("╚════════════════════════════════════════════╝\n");
+
+  try {
+    await testThoughtSignatureRoundTrip();
+    await testFunctionResponses();
+    await testGenerationConfig();
+    await testToolDeclarations();
+    await testGemini3FromRegistry();
+    await testThinking();
+    await testResponseFormatCheck();
+
+    console.log("═══════════════════════════════════════════");
+    console.log("✅ All tests passed!");
+    console.log("═══════════════════════════════════════════");
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+    process.exit(1);
+  }
+}
+
+runTests();
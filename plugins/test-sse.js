@@ -0,0 +1,211 @@
+/**
+ * Test script for the shared SSE codec (lib/sse.js)
+ *
+ * Recorded upstream streams are split at every possible byte boundary and
+ * must decode to the same events as when fed in one piece.
+ */
+
+const assert = require('assert');
+const { SSEDecoder, encodeSSE, parseSSE } = require('./lib/sse.js');
+const ClaudeAnthropicTransformer = require('./claude-anthropic.js');
+
+// Antigravity (Anthropic Messages) stream; no blank line after the last event
+const anthropicStream = `event: message_start
+data: {"type":"message_start","message":{"id":"msg_6f3735ee05ca75c34aa45da8bcce1467","type":"message","role":"assistant","content":[],"model":"claude-opus-4-5-thinking","stop_reason":null,"stop_sequence":null,"usage":{"input_tokens":193,"output_tokens":0}}}
+
+event: ping
+data: {"type":"ping"}
+
+event: content_block_start
+data: {"type":"content_block_start","index":0,"content_block":{"type":"text","text":""}}
+
+event: content_block_delta
+data: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"안녕하세요!"}}
+
+event: content_block_delta
+data: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":" 👋\\n\\n저"}}
+
+event: content_block_delta
+data: {"type":"content_block_delta","index":0,"delta":{"type":"text_delta","text":"는 Antigravity입니다."}}
+
+event: content_block_stop
+data: {"type":"content_block_stop","index":0}
+
+event: message_delta
+data: {"type":"message_delta","delta":{"stop_reason":"end_turn","stop_sequence":null},"usage":{"output_tokens":108}}
+
+event: message_stop
+data: {"type":"message_stop"}`;
+
+// Codex Responses API stream with CRLF line endings and a keep-alive comment
+const codexStream = [
+  'event: response.created',
+  'data: {"type":"response.created","response":{"model":"gpt-5.2-codex"}}',
+  '',
+  ': keep-alive',
+  '',
+  'event: response.output_text.delta',
+  'data: {"type":"response.output_text.delta","delta":"Olá, 世界"}',
+  '',
+  'event: response.completed',
+  'data: {"type":"response.completed","response":{"status":"completed"}}',
+  '',
+  ''
+].join('\r\n');
+
+// Gemini stream with lone CR line endings and a multi-line data field
+const geminiStream = [
+  'data: {"response":{"candidates":[{"content":{"parts":[{"text":"첫"}]}}]}}',
+  '',
+  'data: {"response":',
+  'data: {"candidates":[{"content":{"parts":[{"text":"줄"}]}}]}}',
+  'id: 7',
+  '',
+  ''
+].join('\r');
+
+// Feed the decoder the given byte slices
+function decodeSlices(slices) {
+  const decoder = new SSEDecoder();
+  const events = [];
+  for (const slice of slices) {
+    events.push(...decoder.decode(slice));
+  }
+  events.push(...decoder.flush());
+  return events;
+}
+
+// Test decoding of each recorded stream
+function testRecordedStreams() {
+  console.log("=== Testing Recorded Streams ===\n");
+
+  const anthropicEvents = parseSSE(anthropicStream);
+  assert.strictEqual(anthropicEvents.length, 9);
+  assert.strictEqual(anthropicEvents[1].event, "ping");
+  assert.strictEqual(anthropicEvents[8].event, "message_stop", "trailing event must be flushed");
+
+  const codexEvents = parseSSE(codexStream);
+  assert.deepStrictEqual(codexEvents.map((event) => event.event), [
+    "response.created",
+    "response.output_text.delta",
+    "response.completed"
+  ]);
+  assert.strictEqual(JSON.parse(codexEvents[1].data).delta, "Olá, 世界");
+
+  const geminiEvents = parseSSE(geminiStream);
+  assert.strictEqual(geminiEvents.length, 2);
+  assert.strictEqual(geminiEvents[1].event, "message");
+  assert.strictEqual(geminiEvents[1].id, "7");
+  assert.strictEqual(
+    JSON.parse(geminiEvents[1].data).response.candidates[0].content.parts[0].text,
+    "줄"
+  );
+
+  console.log("✅ Recorded streams passed!\n");
+}
+
+// Test splitting every stream at every byte boundary
+function testByteBoundaries() {
+  console.log("=== Testing Every Byte Boundary ===\n");
+
+  const encoder = new TextEncoder();
+  for (const [name, text] of [
+    ["anthropic", anthropicStream],
+    ["codex", codexStream],
+    ["gemini", geminiStream]
+  ]) {
+    const bytes = encoder.encode(text);
+    const expected = parseSSE(text);
+
+    for (let i = 0; i <= bytes.length; i++) {
+      assert.deepStrictEqual(
+        decodeSlices([bytes.subarray(0, i), bytes.subarray(i)]),
+        expected,
+        `${name}: split at byte ${i}`
+      );
+    }
+
+    const singleBytes = Array.from(bytes, (_, i) => bytes.subarray(i, i + 1));
+    assert.deepStrictEqual(decodeSlices(singleBytes), expected, `${name}: byte by byte`);
+
+    console.log(`  ${name}: ${bytes.length + 1} splits + byte-by-byte OK`);
+  }
+
+  console.log("\n✅ Byte boundaries passed!\n");
+}
+
+// Test encoder round-trip
+function testEncoder() {
+  console.log("=== Testing Encoder ===\n");
+
+  const encoded = encodeSSE({ event: "note", data: "line one\nline two" }) +
+    encodeSSE({ data: { type: "ping" } }) +
+    encodeSSE({ data: "[DONE]" });
+  console.log(encoded);
+
+  assert.deepStrictEqual(parseSSE(encoded), [
+    { event: "note", data: "line one\nline two" },
+    { event: "message", data: '{"type":"ping"}' },
+    { event: "message", data: "[DONE]" }
+  ]);
+
+  console.log("✅ Encoder passed!\n");
+}
+
+// Test the Anthropic transformer end to end with split upstream chunks
+async function testTransformerSplitStream() {
+  console.log("=== Testing Transformer With Split Stream ===\n");
+
+  const transformer = new ClaudeAnthropicTransformer();
+  const bytes = new TextEncoder().encode(anthropicStream);
+
+  const collect = async (slices) => {
+    const body = new ReadableStream({
+      start(controller) {
+        for (const slice of slices) controller.enqueue(slice);
+        controller.close();
+      }
+    });
+    const response = await transformer.transformResponseOut(
+      new Response(body, { headers: { "Content-Type": "text/event-stream" } })
+    );
+    const events = parseSSE(await response.text());
+    const chunks = events.filter((event) => event.data !== "[DONE]").map((event) => JSON.parse(event.data));
+    return {
+      content: chunks.map((chunk) => chunk.choices[0].delta.content || "").join(""),
+      finishReason: chunks[chunks.length - 1].choices[0].finish_reason,
+      done: events[events.length - 1].data === "[DONE]"
+    };
+  };
+
+  const expected = { content: "안녕하세요! 👋\n\n저는 Antigravity입니다.", finishReason: "stop", done: true };
+  for (let i = 0; i <= bytes.length; i++) {
+    assert.deepStrictEqual(await collect([bytes.subarray(0, i), bytes.subarray(i)]), expected, `split at byte ${i}`);
+  }
+  console.log(`  ${bytes.length + 1} splits OK`);
+
+  console.log("\n✅ Transformer split stream passed!\n");
+}
+
+// Run all tests
+async function runTests() {
+  console.log("╔════════════════════════════════════════════╗");
+  console.log("║   Shared SSE Codec Tests                   ║");
+  console.log("╚════════════════════════════════════════════╝\n");
+
+  try {
+    testRecordedStreams();
+    testByteBoundaries();
+    testEncoder();
+    await testTransformerSplitStream();
+
+    console.log("═══════════════════════════════════════════");
+    console.log("✅ All tests passed!");
+    console.log("═══════════════════════════════════════════");
+  } catch (error) {
+    console.error("❌ Test failed:", error);
+    process.exit(1);
+  }
+}
+
+runTests();